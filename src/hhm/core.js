@@ -7,40 +7,1357 @@
  *  - room.getRoomLink() provides access to the room link at all times
  *  - native event state validators: validators for onGameStart, onGameStop,
  *    onGamePause, and onGameUnpause
+ *  - room.getRoomState() returns a serializable snapshot of the room state:
+ *    game state, scores, stadium, score and time limits, team colors, team and
+ *    admin flag of each player, and the room link
+ *
+ * Events:
+ *
+ *  - onRoomStateChanged(diff): triggered whenever one of the fields returned
+ *    by room.getRoomState() changes. The diff object contains an entry
+ *    { previous, current } for each changed top-level field. The state is
+ *    compared after state-changing native events and API calls, not on every
+ *    game tick, so the game time within the scores does not trigger the event
+ *    on its own.
+ *
+ * Plugin specification:
+ *
+ * If a plugin sets room.pluginSpec to something that is not an object, the
+ * value is used as the plugin name, i.e. room.pluginSpec = `aut/name` is
+ * equivalent to room.pluginSpec = { name: `aut/name` }.
+ *
+ * Every pluginSpec is validated when it is set. The following checks are
+ * performed:
+ *
+ *  - name: must have the format `author/name`
+ *  - version: must be a semantic version, e.g. `1.2.3`
+ *  - dependencies and incompatible_with: must be arrays of plugin names, each
+ *    optionally followed by a version range (see below)
+ *  - order: must be an object mapping event names to objects with `before`
+ *    and `after` properties. The event names are checked once the plugin has
+ *    been loaded, they must be native events or events the plugin handles
+ *  - config: if configDescriptions is specified, its keys must match the keys
+ *    of config
+ *  - sensitiveConfigKeys: must be an array of config keys, see hhm/persistence
+ *
+ * Each problem is logged and recorded as an object of the form
+ * { plugin, field, message, level }, where level is either `error` or
+ * `warning`. The recorded problems for a plugin can be retrieved using
+ * room.getPluginSpecProblems(pluginName), room.validatePluginSpec(pluginSpec)
+ * validates a pluginSpec without recording the problems.
+ *
+ * Version constraints:
+ *
+ * Entries in dependencies and incompatible_with can be restricted to a version
+ * range by appending `@range` to the plugin name, e.g. `sav/roles@^1.3`. The
+ * supported range syntax is a subset of the npm semver syntax: comparators
+ * (=, <, <=, >, >=), caret (^) and tilde (~) ranges, X-ranges (1.x, 1.2.*, 1),
+ * hyphen ranges (1.2 - 2.0), whitespace-separated comparators which must all
+ * match, and alternatives separated by ||.
+ *
+ * The version range is removed from the pluginSpec when it is set, so the
+ * plugin manager only sees the plugin names. Entries of incompatible_with
+ * which have a version range are removed entirely and handled by this plugin.
+ *
+ * When a plugin is loaded or enabled, it is disabled again with an error
+ * message if
+ *
+ *  - the version of one of its dependencies is outside of the required range
+ *  - a loaded plugin is incompatible with the given version range
+ *  - an enabled plugin declared itself incompatible with the version of this
+ *    plugin
+ *
+ * Enabled plugins which depend on the plugin are checked as well and disabled
+ * if they require a different version of it.
+ *
+ * The exported functions room.compareVersions(a, b) and
+ * room.satisfiesVersion(version, range) can be used by other plugins.
+ *
+ * Handler exception isolation:
+ *
+ * All plugin event handlers are wrapped in a guard which catches exceptions
+ * (including rejected promises of async handlers), so a failing handler does
+ * not affect the handlers of other plugins. Errors are logged with the plugin
+ * name, event name and stack trace, and counted per plugin and handler.
+ * Errors of onPersist and onRestore handlers are rethrown after counting them,
+ * and calling them while they are quarantined throws an error, so
+ * hhm/persistence can tell failed handlers from handlers returning undefined.
+ *
+ * Once a handler has failed handlerErrorThreshold times, it is quarantined:
+ * depending on handlerErrorAction, either the handler is no longer called or
+ * the whole plugin is disabled. Players with the host role (or all admins if
+ * sav/roles is not loaded) are notified. Handlers of hhm/persistence are never
+ * quarantined, since they restore the data of all plugins.
+ *
+ * Error counts can be retrieved using room.getHandlerErrors(pluginName) and
+ * reset using room.resetHandlerErrors(pluginName, eventName), which also lifts
+ * the quarantine of the handler. Error counts of a plugin are reset when the
+ * plugin is enabled.
+ *
+ * Configuration:
+ *
+ *  - handlerErrorThreshold: Number of errors after which a handler is
+ *    quarantined, 0 disables quarantining. Defaults to 5.
+ *  - handlerErrorAction: `handler` to only stop calling the failing handler,
+ *    `plugin` to disable the plugin. If the plugin cannot be disabled, the
+ *    handler is quarantined instead. Defaults to `handler`.
+ *  - profiling: Whether handler profiling is enabled, see below. Defaults to
+ *    false.
+ *
+ * Profiling:
+ *
+ * If profiling is enabled, the guard around each plugin event handler also
+ * measures the time each handler call takes and counts the calls. For async
+ * handlers, only the synchronous part until the first await is measured.
+ *
+ * room.getProfile(eventName) returns an object mapping event names to objects
+ * which map plugin names to { calls, totalTime, maxTime, averageTime } (times
+ * in milliseconds), or only the plugin map for the given event. Profiling can
+ * be controlled at runtime using room.getPlugin(`hhm/core`).setProfiling(state)
+ * and resetProfile().
+ *
+ * Action queue:
+ *
+ * If enabled, mutating native API calls (setPlayerTeam, setPlayerAdmin,
+ * kickPlayer and sendAnnouncement) are passed through a throttled queue to
+ * avoid tripping the flood limits of Haxball. Calls are executed immediately as
+ * long as the rate limits allow it, otherwise they are queued and executed by
+ * priority and in call order. Since queued calls are executed asynchronously,
+ * the queue is disabled by default.
+ *
+ * Redundant queued calls are coalesced: only the last team or admin change per
+ * player is kept, disc properties per player are merged, duplicate kicks are
+ * dropped, and a queued kick drops all other queued calls for that player.
+ *
+ * Other plugins can queue native calls which bypass the room API extensions
+ * using room.getPlugin(`hhm/core`).queueAction(functionName, args). This is
+ * also the only way to queue calls of setPlayerDiscProperties, which is usually
+ * called on every game tick.
+ *
+ * Configuration:
+ *
+ *  - actionQueueEnabled: Whether calls of the room API functions are
+ *    throttled, calls using queueAction are always throttled. Defaults to
+ *    false.
+ *  - actionQueueRateLimits: Maximum number of calls per second, per function
+ *    name and in `total`.
+ *  - actionQueuePriorities: Priorities per function name, calls with lower
+ *    values are executed first.
  *
  * Changelog:
  *
+ * 1.8.6:
+ *  - never quarantine handlers of hhm/persistence
+ *
+ * 1.8.5:
+ *  - disable the action queue for room API calls by default, calls using
+ *    queueAction are always throttled
+ *  - no longer pass setPlayerDiscProperties calls through the action queue
+ *
+ * 1.8.4:
+ *  - rethrow errors of onPersist and onRestore handlers after counting them
+ *
+ * 1.8.3:
+ *  - check the version constraints of enabled plugins depending on a plugin
+ *    when it is loaded or enabled
+ *
+ * 1.8.2:
+ *  - update score and time limit on game start, so limits changed by room
+ *    admins are reflected in room.getRoomState()
+ *
+ * 1.8.1:
+ *  - validate sensitiveConfigKeys
+ *
+ * 1.8.0:
+ *  - add throttled queue for mutating native API calls
+ *
+ * 1.7.0:
+ *  - add handler profiling and room.getProfile()
+ *
+ * 1.6.0:
+ *  - isolate exceptions in plugin event handlers and quarantine handlers or
+ *    plugins which fail repeatedly
+ *  - add room.getHandlerErrors() and room.resetHandlerErrors()
+ *
+ * 1.5.0:
+ *  - support version ranges in dependencies and incompatible_with
+ *  - add room.compareVersions() and room.satisfiesVersion()
+ *
+ * 1.4.0:
+ *  - validate pluginSpec when it is set
+ *  - add room.getPluginSpecProblems() and room.validatePluginSpec()
+ *
+ * 1.3.0:
+ *  - add room.getRoomState() and onRoomStateChanged event
+ *
  * 1.2.1:
  *  - if pluginSpec is no object, it is used as the plugin name
  *
- * 1.2.0:
- *  - move non-plugin event handlers of the HHM to this plugin
+ * 1.2.0:
+ *  - move non-plugin event handlers of the HHM to this plugin
+ *
+ * 1.1.0:
+ *  - improved book-keeping and event state validation for paused and
+ *    started/stopped game states
+ *
+ * 1.0.0:
+ *  - initial version
+ *
+ */
+
+var room = HBInit();
+
+room.pluginSpec = {
+  name: `hhm/core`,
+  author: `saviola`,
+  version: `1.8.6`,
+  dependencies: [
+    `hhm/core` // Can't be disabled
+  ],
+  config: {
+    actionQueueEnabled: false,
+    actionQueuePriorities: {
+      kickPlayer: 0,
+      setPlayerAdmin: 1,
+      setPlayerTeam: 2,
+      setPlayerDiscProperties: 3,
+      sendAnnouncement: 4,
+    },
+    actionQueueRateLimits: {
+      total: 30,
+      kickPlayer: 5,
+      sendAnnouncement: 20,
+      setPlayerAdmin: 10,
+      setPlayerDiscProperties: 30,
+      setPlayerTeam: 10,
+    },
+    handlerErrorAction: `handler`,
+    handlerErrorThreshold: 5,
+    profiling: false,
+  },
+};
+
+//
+// Global variables
+//
+
+const properties = {
+  paused: false,
+  started: false,
+  stadium: `Classic`,
+  scoreLimit: 3,
+  timeLimit: 3,
+  teamColors: { 1: null, 2: null },
+};
+
+/**
+ * Events after which the room state is compared to the last known state.
+ */
+const roomStateEvents = [`onGameStart`, `onGameStop`, `onGamePause`,
+  `onGameUnpause`, `onTeamGoal`, `onTeamVictory`, `onPositionsReset`,
+  `onStadiumChange`, `onPlayerJoin`, `onPlayerLeave`, `onPlayerTeamChange`,
+  `onPlayerAdminChange`];
+
+/**
+ * Native room events, used to validate the order property of pluginSpecs.
+ */
+const nativeEvents = [`onPlayerJoin`, `onPlayerLeave`, `onTeamVictory`,
+  `onPlayerChat`, `onPlayerBallKick`, `onTeamGoal`, `onGameStart`,
+  `onGameStop`, `onPlayerAdminChange`, `onPlayerTeamChange`, `onPlayerKicked`,
+  `onGameTick`, `onGamePause`, `onGameUnpause`, `onPositionsReset`,
+  `onPlayerActivity`, `onStadiumChange`, `onRoomLink`, `onKickRateLimitSet`];
+
+const pluginNameRegExp = /^[\w.-]+\/[\w.-]+$/;
+const versionRegExp =
+    /^(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)(?:-([\w.-]+))?(?:\+[\w.-]+)?$/;
+const rangeComparatorRegExp = new RegExp(`^(<=|>=|<|>|=|\\^|~)?v?`
+    + `(\\d+|[xX*])(?:\\.(\\d+|[xX*]))?(?:\\.(\\d+|[xX*]))?`
+    + `(?:-([\\w.-]+))?(?:\\+[\\w.-]+)?$`);
+
+/**
+ * Maps plugin names to arrays of pluginSpec problems.
+ */
+const pluginSpecProblems = new Map();
+
+/**
+ * Maps plugin names to their version constraints, which are objects with the
+ * properties dependencies and incompatible_with, each an array of
+ * { name, range } objects.
+ */
+const versionConstraints = new Map();
+
+/**
+ * Native functions whose calls are passed through the action queue if it is
+ * enabled.
+ */
+const queuedFunctionNames = [`kickPlayer`, `sendAnnouncement`,
+  `setPlayerAdmin`, `setPlayerTeam`];
+
+/**
+ * Queued native calls, each of the form
+ * { functionName, args, key, sequence }.
+ */
+const actionQueue = [];
+
+/**
+ * Maps function names (and `total`) to arrays of timestamps of the calls
+ * executed within the last second.
+ */
+const actionCallTimes = new Map();
+let actionSequence = 0, actionQueueTimeout;
+
+/**
+ * Maps plugin names to maps of event names to error information objects of the
+ * form { count, lastError, quarantined }.
+ */
+const handlerErrors = new Map();
+
+/**
+ * Maps event names to maps of plugin names to profiling information objects of
+ * the form { calls, totalTime, maxTime }.
+ */
+const profile = new Map();
+let profileStart = Date.now();
+
+/**
+ * Events whose handler errors are rethrown by the guard after counting them,
+ * since their callers depend on the return value of the handler.
+ */
+const rethrownEventNames = [`onPersist`, `onRestore`];
+
+/**
+ * Plugins whose handlers are never quarantined, since they handle events on
+ * behalf of all other plugins. Their errors are still logged and counted.
+ */
+const quarantineExemptPluginNames = [`hhm/persistence`];
+
+/**
+ * Property of guarded handler functions which holds the original function.
+ */
+const originalFunction = Symbol(`originalFunction`);
+
+/**
+ * Last state returned by createRoomState(), initialized in onRoomLinkHandler.
+ */
+let roomState;
+
+//
+// Plugin functions
+//
+
+/**
+ * Returns a serializable snapshot of the current room state.
+ */
+function createRoomState() {
+  const scores = room.getScores();
+
+  return {
+    gameState: {
+      started: room.isGameStarted(),
+      paused: room.isGamePaused(),
+    },
+    scores: scores === null ? null : $.extend({}, scores),
+    stadium: properties.stadium,
+    scoreLimit: properties.scoreLimit,
+    timeLimit: properties.timeLimit,
+    teamColors: $.extend(true, {}, properties.teamColors),
+    players: room.getPlayerList().map((p) => ({
+      id: p.id,
+      name: p.name,
+      team: p.team,
+      admin: p.admin,
+    })),
+    roomLink: room.getRoomLink(),
+  };
+}
+
+/**
+ * Checks the version constraints of the given plugin and of the enabled
+ * plugins against the given plugin.
+ *
+ * @returns Array of error messages, empty if all constraints are satisfied.
+ */
+function checkVersionConstraints(plugin) {
+  const manager = room.getPluginManager();
+  const pluginName = plugin.getName();
+  const errors = [];
+  const getVersion = (name) => (manager.getPlugin(manager.getPluginId(name))
+      .pluginSpec || {}).version;
+
+  const constraints = versionConstraints.get(pluginName)
+      || { dependencies: [], incompatible_with: [] };
+
+  for (let { name, range } of constraints.dependencies) {
+    if (!room.hasPlugin(name)) continue;
+
+    const version = getVersion(name);
+
+    if (version === undefined || !satisfiesVersion(version, range)) {
+      errors.push(`Plugin ${pluginName} requires ${name}@${range}, but `
+          + `version ${version === undefined ? `(unknown)` : version} `
+          + `is loaded`);
+    }
+  }
+
+  for (let { name, range } of constraints.incompatible_with) {
+    if (!room.hasPlugin(name)) continue;
+
+    const version = getVersion(name);
+
+    if (version !== undefined && satisfiesVersion(version, range)) {
+      errors.push(`Plugin ${pluginName} is incompatible with ${name}@${range}, `
+          + `but version ${version} is loaded`);
+    }
+  }
+
+  const version = (plugin.pluginSpec || {}).version;
+
+  if (version === undefined) return errors;
+
+  for (let [otherPluginName, otherConstraints] of versionConstraints) {
+    if (otherPluginName === pluginName || !room.hasPlugin(otherPluginName)
+        || !manager.getPlugin(manager.getPluginId(otherPluginName))
+            .isEnabled()) {
+      continue;
+    }
+
+    for (let { name, range } of otherConstraints.incompatible_with) {
+      if (name === pluginName && satisfiesVersion(version, range)) {
+        errors.push(`Plugin ${otherPluginName} is incompatible with `
+            + `${pluginName}@${range}, but version ${version} is loaded`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Wraps the function of the given handler in a guard which catches and counts
+ * errors and skips the handler while it is quarantined.
+ *
+ * For the events in rethrownEventNames, errors are rethrown after counting
+ * them and quarantined handlers throw instead of returning undefined.
+ */
+function createGuardedHandlerFunction(handler) {
+  const pluginName = handler.meta.plugin.getName();
+  const eventName = handler.meta.name;
+  const fn = handler.function;
+  const rethrow = rethrownEventNames.includes(eventName);
+
+  const guardedFunction = function(...args) {
+    if (getHandlerErrorInfo(pluginName, eventName).quarantined) {
+      if (rethrow) {
+        throw new Error(`Handler ${eventName} of plugin ${pluginName} is `
+            + `quarantined`);
+      }
+
+      return;
+    }
+
+    const profiling = room.getConfig(`profiling`) === true;
+    const start = profiling ? performance.now() : 0;
+
+    try {
+      const returnValue = fn.apply(this, args);
+
+      if (returnValue instanceof Promise) {
+        return returnValue.catch((error) => {
+          handleHandlerError(pluginName, eventName, error);
+
+          if (rethrow) throw error;
+        });
+      }
+
+      return returnValue;
+    } catch (error) {
+      handleHandlerError(pluginName, eventName, error);
+
+      if (rethrow) throw error;
+    } finally {
+      if (profiling) {
+        recordHandlerCall(pluginName, eventName, performance.now() - start);
+      }
+    }
+  };
+
+  guardedFunction[originalFunction] = fn;
+
+  return guardedFunction;
+}
+
+/**
+ * Returns the error information for the given plugin and event, creating it
+ * if necessary.
+ */
+function getHandlerErrorInfo(pluginName, eventName) {
+  if (!handlerErrors.has(pluginName)) {
+    handlerErrors.set(pluginName, new Map());
+  }
+
+  const pluginErrors = handlerErrors.get(pluginName);
+
+  if (!pluginErrors.has(eventName)) {
+    pluginErrors.set(eventName,
+        { count: 0, lastError: undefined, quarantined: false });
+  }
+
+  return pluginErrors.get(eventName);
+}
+
+/**
+ * Returns the handler errors for the given plugin as an object mapping event
+ * names to error information, or for all plugins as an object mapping plugin
+ * names to such objects if no plugin name is given.
+ */
+function getHandlerErrors(pluginName) {
+  const collectErrors = (pluginErrors = new Map()) => {
+    const errors = {};
+
+    for (let [eventName, { count, lastError, quarantined }] of pluginErrors) {
+      errors[eventName] = { count, lastError, quarantined };
+    }
+
+    return errors;
+  };
+
+  if (pluginName !== undefined) {
+    return collectErrors(handlerErrors.get(pluginName));
+  }
+
+  const errors = {};
+
+  for (let name of handlerErrors.keys()) {
+    errors[name] = collectErrors(handlerErrors.get(name));
+  }
+
+  return errors;
+}
+
+/**
+ * Logs and counts the given handler error and quarantines the handler or
+ * disables the plugin once the configured threshold is reached.
+ */
+function handleHandlerError(pluginName, eventName, error) {
+  const errorInfo = getHandlerErrorInfo(pluginName, eventName);
+  errorInfo.count++;
+  errorInfo.lastError = error instanceof Error ? error.message : String(error);
+
+  room.log(`Error in handler ${eventName} of plugin ${pluginName} `
+      + `(${errorInfo.count} so far): `
+      + (error instanceof Error ? error.stack : error), HHM.log.level.ERROR);
+
+  const threshold = room.getConfig(`handlerErrorThreshold`);
+
+  if (!(threshold > 0) || errorInfo.count < threshold
+      || errorInfo.quarantined
+      || quarantineExemptPluginNames.includes(pluginName)) {
+    return;
+  }
+
+  if (room.getConfig(`handlerErrorAction`) === `plugin`
+      && room.getPluginManager().disablePlugin(pluginName)) {
+    notifyHost(`Plugin ${pluginName} was disabled after ${errorInfo.count} `
+        + `errors in handler ${eventName}`);
+    return;
+  }
+
+  errorInfo.quarantined = true;
+
+  notifyHost(`Handler ${eventName} of plugin ${pluginName} was disabled after `
+      + `${errorInfo.count} errors`);
+}
+
+/**
+ * Sends the given message to all players with the host role, or to all admins
+ * if sav/roles is not loaded.
+ */
+function notifyHost(message) {
+  room.log(message, HHM.log.level.WARN);
+
+  const roles = room.getPlugin(`sav/roles`);
+  const players = roles && roles.hasRole(`host`) ? roles.getRole(`host`).players
+      : room.getPlayerList().filter((p) => p.admin);
+
+  players.forEach((p) => room.sendAnnouncement(message, p.id,
+      { prefix: HHM.log.level.ERROR }));
+}
+
+/**
+ * Resets the error counts for the given plugin and event, or for all events of
+ * the plugin if no event name is given, and lifts the quarantine.
+ */
+function resetHandlerErrors(pluginName, eventName) {
+  if (!handlerErrors.has(pluginName)) return;
+
+  if (eventName === undefined) {
+    handlerErrors.delete(pluginName);
+  } else {
+    handlerErrors.get(pluginName).delete(eventName);
+  }
+}
+
+/**
+ * Compares two semantic versions.
+ *
+ * @returns Negative number if a < b, 0 if a = b, positive number if a > b.
+ * @throws TypeError if one of the versions is not a valid semantic version.
+ */
+function compareVersions(a, b) {
+  const versionA = parseVersion(a);
+  const versionB = parseVersion(b);
+
+  if (versionA === null || versionB === null) {
+    throw new TypeError(`Invalid version ${versionA === null ? a : b}`);
+  }
+
+  return compareParsedVersions(versionA, versionB);
+}
+
+/**
+ * Compares two versions as returned by parseVersion().
+ */
+function compareParsedVersions(a, b) {
+  for (let i = 0; i < 3; i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+
+  // A version without pre-release identifiers has higher precedence
+  if (a[3] === undefined || b[3] === undefined) {
+    return (a[3] === undefined ? 1 : 0) - (b[3] === undefined ? 1 : 0);
+  }
+
+  const identifiersA = a[3].split(`.`);
+  const identifiersB = b[3].split(`.`);
+
+  for (let i = 0; i < Math.min(identifiersA.length, identifiersB.length); i++) {
+    const numeric = /^\d+$/;
+    const [identifierA, identifierB] = [identifiersA[i], identifiersB[i]];
+
+    if (identifierA === identifierB) continue;
+
+    if (numeric.test(identifierA) && numeric.test(identifierB)) {
+      return parseInt(identifierA) - parseInt(identifierB);
+    }
+
+    // Numeric identifiers have lower precedence
+    if (numeric.test(identifierA) !== numeric.test(identifierB)) {
+      return numeric.test(identifierA) ? -1 : 1;
+    }
+
+    return identifierA < identifierB ? -1 : 1;
+  }
+
+  return identifiersA.length - identifiersB.length;
+}
+
+/**
+ * Splits a dependency entry like `sav/roles@^1.3` into name and version range.
+ *
+ * The range is undefined if the entry has no version constraint.
+ */
+function parseDependency(dependency) {
+  const index = dependency.indexOf(`@`);
+
+  return index === -1 ? { name: dependency, range: undefined } :
+      { name: dependency.substr(0, index),
+        range: dependency.substr(index + 1).trim() };
+}
+
+/**
+ * Parses a version range into an array of comparator sets, the range is
+ * satisfied if all comparators of at least one set are satisfied.
+ *
+ * Each comparator is an array [operator, version] with the version as returned
+ * by parseVersion().
+ *
+ * @returns Array of comparator sets, or null if the range is invalid.
+ */
+function parseRange(range) {
+  if (typeof range !== `string`) return null;
+
+  const comparatorSets = [];
+
+  for (let alternative of range.split(`||`)) {
+    alternative = alternative.trim();
+    let comparators = [];
+
+    const hyphenRange = /^(\S+)\s+-\s+(\S+)$/.exec(alternative);
+
+    if (hyphenRange !== null) {
+      const from = parseRangeComparator(`>=${hyphenRange[1]}`);
+      const to = parseRangeComparator(`<=${hyphenRange[2]}`);
+
+      if (from === null || to === null) return null;
+
+      comparators = from.concat(to);
+    } else {
+      const tokens = alternative.replace(/(<=|>=|<|>|=|\^|~)\s+/g, `$1`)
+          .split(/\s+/).filter((token) => token.length > 0);
+
+      for (let token of tokens) {
+        const tokenComparators = parseRangeComparator(token);
+
+        if (tokenComparators === null) return null;
+
+        comparators.push(...tokenComparators);
+      }
+    }
+
+    comparatorSets.push(comparators);
+  }
+
+  return comparatorSets;
+}
+
+/**
+ * Translates a single range token like `^1.2` into an array of primitive
+ * comparators, or returns null if the token is invalid.
+ */
+function parseRangeComparator(token) {
+  const match = rangeComparatorRegExp.exec(token);
+
+  if (match === null) return null;
+
+  const operator = match[1] || `=`;
+  const parts = match.slice(2, 5).map((part) => part === undefined
+      || /^[xX*]$/.test(part) ? null : parseInt(part));
+  const [major, minor, patch] = parts;
+  const prerelease = match[5];
+
+  // Wildcards after a concrete part are not allowed, e.g. 1.x.3
+  if (parts.findIndex((part) => part === null) !== -1 && parts.slice(
+      parts.findIndex((part) => part === null)).some((part) => part !== null)) {
+    return null;
+  }
+
+  const version = (M, m = 0, p = 0, pre) => [M, m, p, pre];
+  const full = patch !== null;
+
+  if (major === null) {
+    return [`<`, `>`].includes(operator) ? [[`<`, version(0)]] : [];
+  }
+
+  switch (operator) {
+    case `=`:
+      if (full) return [[`=`, version(major, minor, patch, prerelease)]];
+      return [[`>=`, version(major, minor || 0)],
+        [`<`, minor === null ? version(major + 1) : version(major, minor + 1)]];
+
+    case `^`: {
+      const from = [`>=`, version(major, minor || 0, patch || 0, prerelease)];
+
+      if (major > 0 || minor === null) {
+        return [from, [`<`, version(major + 1)]];
+      }
+
+      if (minor > 0 || patch === null) {
+        return [from, [`<`, version(0, minor + 1)]];
+      }
+
+      return [from, [`<`, version(0, 0, patch + 1)]];
+    }
+
+    case `~`:
+      return [[`>=`, version(major, minor || 0, patch || 0, prerelease)],
+        [`<`, minor === null ? version(major + 1) : version(major, minor + 1)]];
+
+    case `>`:
+      if (full) return [[`>`, version(major, minor, patch, prerelease)]];
+      return [[`>=`, minor === null ? version(major + 1)
+          : version(major, minor + 1)]];
+
+    case `>=`:
+      return [[`>=`, version(major, minor || 0, patch || 0, prerelease)]];
+
+    case `<`:
+      return [[`<`, version(major, minor || 0, patch || 0, prerelease)]];
+
+    case `<=`:
+      if (full) return [[`<=`, version(major, minor, patch, prerelease)]];
+      return [[`<`, minor === null ? version(major + 1)
+          : version(major, minor + 1)]];
+  }
+}
+
+/**
+ * Parses the given semantic version into an array [major, minor, patch,
+ * prerelease], or returns null if the version is invalid.
+ */
+function parseVersion(version) {
+  const match = versionRegExp.exec(typeof version === `string`
+      ? version.trim().replace(/^v/, ``) : ``);
+
+  return match === null ? null : [parseInt(match[1]), parseInt(match[2]),
+    parseInt(match[3]), match[4]];
+}
+
+/**
+ * Returns whether the given version satisfies the given version range.
+ *
+ * @throws TypeError if the version or the range is invalid.
+ */
+function satisfiesVersion(version, range) {
+  const parsedVersion = parseVersion(version);
+  const comparatorSets = parseRange(range);
+
+  if (parsedVersion === null) throw new TypeError(`Invalid version ${version}`);
+  if (comparatorSets === null) throw new TypeError(`Invalid range ${range}`);
+
+  return comparatorSets.some((comparators) => comparators.every(
+      ([operator, comparatorVersion]) => {
+    const result = compareParsedVersions(parsedVersion, comparatorVersion);
+
+    switch (operator) {
+      case `=`: return result === 0;
+      case `<`: return result < 0;
+      case `<=`: return result <= 0;
+      case `>`: return result > 0;
+      case `>=`: return result >= 0;
+    }
+  }));
+}
+
+/**
+ * Removes the version ranges from dependencies and incompatible_with of the
+ * given pluginSpec and stores them as version constraints for the plugin.
+ */
+function extractVersionConstraints(pluginSpec, pluginName) {
+  const constraints = { dependencies: [], incompatible_with: [] };
+
+  for (let field of [`dependencies`, `incompatible_with`]) {
+    if (!Array.isArray(pluginSpec[field])) continue;
+
+    const names = [];
+
+    for (let entry of pluginSpec[field]) {
+      if (typeof entry !== `string`) {
+        names.push(entry);
+        continue;
+      }
+
+      const { name, range } = parseDependency(entry);
+
+      if (range === undefined || parseRange(range) === null) {
+        names.push(name);
+        continue;
+      }
+
+      constraints[field].push({ name, range });
+
+      // The plugin manager does not know about version ranges, so only
+      // unconditional incompatibilities are passed on
+      if (field === `dependencies`) {
+        names.push(name);
+      }
+    }
+
+    pluginSpec[field] = names;
+  }
+
+  versionConstraints.set(pluginName, constraints);
+}
+
+/**
+ * Disables the given plugin if its version constraints are not satisfied, as
+ * well as the enabled plugins which depend on it and require another version.
+ */
+function enforceVersionConstraints(plugin) {
+  const manager = room.getPluginManager();
+  const pluginName = plugin.getName();
+
+  const dependentPlugins = [...versionConstraints]
+      .filter(([otherPluginName, { dependencies }]) =>
+          otherPluginName !== pluginName && room.hasPlugin(otherPluginName)
+          && dependencies.some(({ name }) => name === pluginName))
+      .map(([otherPluginName]) =>
+          manager.getPlugin(manager.getPluginId(otherPluginName)))
+      .filter((otherPlugin) => otherPlugin.isEnabled());
+
+  const satisfied = disablePluginOnErrors(plugin,
+      checkVersionConstraints(plugin));
+
+  for (let dependentPlugin of dependentPlugins) {
+    disablePluginOnErrors(dependentPlugin,
+        checkVersionConstraints(dependentPlugin));
+  }
+
+  return satisfied;
+}
+
+/**
+ * Logs the given version constraint errors and disables the given plugin if
+ * there are any.
+ *
+ * @returns Whether there were no errors.
+ */
+function disablePluginOnErrors(plugin, errors) {
+  if (errors.length === 0) return true;
+
+  for (let error of errors) {
+    room.log(`${error}, disabling plugin ${plugin.getName()}`,
+        HHM.log.level.ERROR);
+  }
+
+  if (!room.getPluginManager().disablePlugin(plugin.getName())) {
+    room.log(`Failed to disable plugin ${plugin.getName()}`,
+        HHM.log.level.ERROR);
+  }
+
+  return false;
+}
+
+/**
+ * Returns the coalescing key for the given native call, calls with the same key
+ * are redundant.
+ */
+function getActionKey(functionName, args) {
+  return functionName === `sendAnnouncement` ? undefined
+      : `${functionName}_${args[0]}`;
+}
+
+/**
+ * Returns the number of queued native calls.
+ */
+function getActionQueueSize() {
+  return actionQueue.length;
+}
+
+/**
+ * Returns the timestamps of the calls of the given function within the last
+ * second.
+ */
+function getActionCallTimes(functionName, now = Date.now()) {
+  const callTimes = (actionCallTimes.get(functionName) || [])
+      .filter((time) => now - time < 1000);
+  actionCallTimes.set(functionName, callTimes);
+
+  return callTimes;
+}
+
+/**
+ * Returns the number of milliseconds until the given function may be called
+ * again according to the rate limits, 0 if it can be called immediately.
+ */
+function getActionDelay(functionName, now = Date.now()) {
+  const rateLimits = room.getConfig(`actionQueueRateLimits`) || {};
+
+  return Math.max(...[functionName, `total`].map((name) => {
+    const limit = rateLimits[name];
+    const callTimes = getActionCallTimes(name, now);
+
+    return !(limit > 0) || callTimes.length < limit ? 0
+        : callTimes[callTimes.length - limit] + 1000 - now;
+  }));
+}
+
+/**
+ * Executes the given native call and records it for the rate limits.
+ */
+function executeAction(functionName, args) {
+  const now = Date.now();
+
+  getActionCallTimes(functionName, now).push(now);
+  getActionCallTimes(`total`, now).push(now);
+
+  return room.getParentRoom()[functionName](...args);
+}
+
+/**
+ * Executes queued native calls as far as the rate limits allow and schedules
+ * the next run if calls remain.
+ */
+function processActionQueue() {
+  clearTimeout(actionQueueTimeout);
+  actionQueueTimeout = undefined;
+
+  const priorities = room.getConfig(`actionQueuePriorities`) || {};
+  const getPriority = (functionName) => priorities[functionName] || 0;
+
+  actionQueue.sort((a, b) => getPriority(a.functionName)
+      - getPriority(b.functionName) || a.sequence - b.sequence);
+
+  let delay = Infinity;
+
+  for (let i = 0; i < actionQueue.length;) {
+    const action = actionQueue[i];
+    const actionDelay = getActionDelay(action.functionName);
+
+    if (actionDelay > 0) {
+      delay = Math.min(delay, actionDelay);
+      i++;
+      continue;
+    }
+
+    actionQueue.splice(i, 1);
+
+    try {
+      executeAction(action.functionName, action.args);
+    } catch (error) {
+      room.log(`Queued call to ${action.functionName} failed: `
+          + (error instanceof Error ? error.stack : error),
+          HHM.log.level.ERROR);
+    }
+  }
+
+  if (actionQueue.length > 0) {
+    actionQueueTimeout = setTimeout(processActionQueue, delay);
+  }
+}
+
+/**
+ * Queues a call of the given native function, coalescing it with redundant
+ * queued calls.
  *
- * 1.1.0:
- *  - improved book-keeping and event state validation for paused and
- *    started/stopped game states
+ * The call is executed immediately if nothing is queued and the rate limits
+ * allow it.
+ */
+function queueAction(functionName, args = []) {
+  if (actionQueue.length === 0 && getActionDelay(functionName) === 0) {
+    return executeAction(functionName, args);
+  }
+
+  const key = getActionKey(functionName, args);
+  const queuedAction = key === undefined ? undefined
+      : actionQueue.find((action) => action.key === key);
+
+  if (functionName === `kickPlayer`) {
+    // Other calls for a kicked player are pointless
+    for (let i = actionQueue.length - 1; i >= 0; i--) {
+      if (actionQueue[i].functionName !== `sendAnnouncement`
+          && actionQueue[i].functionName !== `kickPlayer`
+          && actionQueue[i].args[0] === args[0]) {
+        actionQueue.splice(i, 1);
+      }
+    }
+  }
+
+  if (queuedAction !== undefined) {
+    if (functionName === `setPlayerDiscProperties`) {
+      queuedAction.args[1] = Object.assign({}, queuedAction.args[1], args[1]);
+    } else if (functionName !== `kickPlayer`) {
+      queuedAction.args = args;
+    }
+  } else {
+    actionQueue.push({ functionName, args, key, sequence: actionSequence++ });
+  }
+
+  if (actionQueueTimeout === undefined) {
+    actionQueueTimeout = setTimeout(processActionQueue,
+        getActionDelay(functionName));
+  }
+}
+
+/**
+ * Returns the profiling information for the given event, or for all events if
+ * no event name is given.
  *
- * 1.0.0:
- *  - initial version
+ * @see recordHandlerCall
+ */
+function getProfile(eventName) {
+  const collectProfile = (eventProfile = new Map()) => {
+    const result = {};
+
+    for (let [pluginName, { calls, totalTime, maxTime }] of eventProfile) {
+      result[pluginName] = { calls, totalTime, maxTime,
+        averageTime: calls > 0 ? totalTime / calls : 0 };
+    }
+
+    return result;
+  };
+
+  if (eventName !== undefined) {
+    return collectProfile(profile.get(eventName));
+  }
+
+  const result = {};
+
+  for (let name of profile.keys()) {
+    result[name] = collectProfile(profile.get(name));
+  }
+
+  return result;
+}
+
+/**
+ * Returns the timestamp since which profiling information has been collected.
+ */
+function getProfileStart() {
+  return profileStart;
+}
+
+/**
+ * Returns whether profiling is enabled.
+ */
+function isProfiling() {
+  return room.getConfig(`profiling`) === true;
+}
+
+/**
+ * Records a handler call of the given duration for profiling.
+ */
+function recordHandlerCall(pluginName, eventName, duration) {
+  if (!profile.has(eventName)) {
+    profile.set(eventName, new Map());
+  }
+
+  const eventProfile = profile.get(eventName);
+
+  if (!eventProfile.has(pluginName)) {
+    eventProfile.set(pluginName, { calls: 0, totalTime: 0, maxTime: 0 });
+  }
+
+  const profileInfo = eventProfile.get(pluginName);
+  profileInfo.calls++;
+  profileInfo.totalTime += duration;
+  profileInfo.maxTime = Math.max(profileInfo.maxTime, duration);
+}
+
+/**
+ * Discards all collected profiling information.
+ */
+function resetProfile() {
+  profile.clear();
+  profileStart = Date.now();
+}
+
+/**
+ * Enables or disables profiling.
+ */
+function setProfiling(state = true) {
+  if (state && !isProfiling()) {
+    resetProfile();
+  }
+
+  room.setConfig(`profiling`, state === true);
+}
+
+/**
+ * Returns the recorded pluginSpec problems for the given plugin, or for all
+ * plugins as an object mapping plugin names to arrays of problems if no plugin
+ * name is given.
+ */
+function getPluginSpecProblems(pluginName) {
+  if (pluginName !== undefined) {
+    return (pluginSpecProblems.get(pluginName) || []).slice();
+  }
+
+  const problems = {};
+
+  for (let [name, pluginProblems] of pluginSpecProblems) {
+    problems[name] = pluginProblems.slice();
+  }
+
+  return problems;
+}
+
+/**
+ * Returns a copy of the current room state.
+ */
+function getRoomState() {
+  return createRoomState();
+}
+
+/**
+ * Logs the given problems and records them for the given plugin.
+ */
+function recordPluginSpecProblems(pluginName, problems, fields) {
+  const remainingProblems = (pluginSpecProblems.get(pluginName) || [])
+      .filter((problem) => !fields.includes(problem.field.split(`.`)[0]));
+
+  pluginSpecProblems.set(pluginName, remainingProblems.concat(problems));
+
+  for (let problem of problems) {
+    room.log(`Invalid pluginSpec for plugin ${problem.plugin}, field `
+        + `${problem.field}: ${problem.message}`,
+        problem.level === `error` ? HHM.log.level.ERROR : HHM.log.level.WARN);
+  }
+}
+
+/**
+ * Updates the score and time limit from the scores of the running game, which
+ * also reflect limits set by room admins instead of the room API.
+ */
+function updateLimits() {
+  const scores = room.getScores();
+
+  if (scores === null) return;
+
+  properties.scoreLimit = scores.scoreLimit;
+  // The time limit is given in seconds within the scores
+  properties.timeLimit = Math.round(scores.timeLimit / 60);
+}
+
+/**
+ * Compares the current room state with the last known room state and triggers
+ * the onRoomStateChanged event if anything changed.
+ */
+function updateRoomState() {
+  const previousState = roomState;
+  roomState = createRoomState();
+
+  if (previousState === undefined) return;
+
+  const diff = {};
+
+  for (let field of Object.getOwnPropertyNames(roomState)) {
+    if (JSON.stringify(previousState[field])
+        !== JSON.stringify(roomState[field])) {
+      diff[field] = { previous: previousState[field],
+        current: roomState[field] };
+    }
+  }
+
+  if (Object.getOwnPropertyNames(diff).length > 0) {
+    room.triggerEvent(`onRoomStateChanged`, diff);
+  }
+}
+
+/**
+ * Validates the order property of the given pluginSpec against the native
+ * events and the given handler names.
+ */
+function validateOrder(pluginSpec, handlerNames, pluginName = pluginSpec.name) {
+  const problems = [];
+
+  if (pluginSpec.order === undefined) return problems;
+
+  for (let eventName of Object.getOwnPropertyNames(pluginSpec.order)) {
+    if (!nativeEvents.includes(eventName)
+        && !handlerNames.includes(eventName)) {
+      problems.push({ plugin: pluginName, field: `order.${eventName}`,
+        message: `unknown event ${eventName}, it is neither a native event `
+            + `nor handled by the plugin`, level: `warning` });
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Validates the given pluginSpec and returns an array of problems.
  *
+ * Each problem is an object { plugin, field, message, level }, where level is
+ * either `error` or `warning`. The event names in the order property are only
+ * checked if the handler names of the plugin are passed.
  */
+function validatePluginSpec(pluginSpec, { handlerNames,
+    pluginName = (pluginSpec || {}).name } = {}) {
+  const problems = [];
+  const addProblem = (field, message, level = `error`) =>
+      problems.push({ plugin: pluginName, field, message, level });
 
-var room = HBInit();
+  if (typeof pluginSpec !== `object` || pluginSpec === null) {
+    addProblem(`pluginSpec`, `must be an object`);
+    return problems;
+  }
 
-room.pluginSpec = {
-  name: `hhm/core`,
-  author: `saviola`,
-  version: `1.2.1`,
-  dependencies: [
-    `hhm/core` // Can't be disabled
-  ],
-};
+  if (pluginSpec.name !== undefined && (typeof pluginSpec.name !== `string`
+      || !pluginNameRegExp.test(pluginSpec.name))) {
+    addProblem(`name`, `"${pluginSpec.name}" does not have the format `
+        + `author/name`, `warning`);
+  }
 
-//
-// Global variables
-//
+  if (pluginSpec.version !== undefined
+      && (typeof pluginSpec.version !== `string`
+          || !versionRegExp.test(pluginSpec.version))) {
+    addProblem(`version`, `"${pluginSpec.version}" is not a semantic version`);
+  }
+
+  for (let field of [`dependencies`, `incompatible_with`]) {
+    if (pluginSpec[field] === undefined) continue;
+
+    if (!Array.isArray(pluginSpec[field])) {
+      addProblem(field, `must be an array of plugin names`);
+      continue;
+    }
+
+    pluginSpec[field].forEach((entry, index) => {
+      if (typeof entry !== `string`) {
+        addProblem(`${field}.${index}`, `must be a string`);
+        return;
+      }
+
+      const { name, range } = parseDependency(entry);
 
-const properties = { paused: false, started: false };
+      if (!pluginNameRegExp.test(name)) {
+        addProblem(`${field}.${index}`, `"${name}" does not have the format `
+            + `author/name`, `warning`);
+      }
+
+      if (range !== undefined && parseRange(range) === null) {
+        addProblem(`${field}.${index}`, `"${range}" is not a valid version `
+            + `range`);
+      }
+    });
+  }
+
+  if (pluginSpec.order !== undefined) {
+    if (typeof pluginSpec.order !== `object` || pluginSpec.order === null) {
+      addProblem(`order`, `must be an object`);
+    } else {
+      for (let eventName of Object.getOwnPropertyNames(pluginSpec.order)) {
+        const eventOrder = pluginSpec.order[eventName];
+
+        if (typeof eventOrder !== `object` || eventOrder === null) {
+          addProblem(`order.${eventName}`, `must be an object with before `
+              + `and/or after properties`);
+          continue;
+        }
+
+        for (let property of Object.getOwnPropertyNames(eventOrder)) {
+          const names = eventOrder[property];
+
+          if (![`before`, `after`].includes(property)) {
+            addProblem(`order.${eventName}.${property}`, `unknown property, `
+                + `expected before or after`, `warning`);
+          } else if (typeof names !== `string` && (!Array.isArray(names)
+              || names.some((name) => typeof name !== `string`))) {
+            addProblem(`order.${eventName}.${property}`, `must be a plugin `
+                + `name or an array of plugin names`);
+          }
+        }
+      }
+
+      if (handlerNames !== undefined) {
+        problems.push(...validateOrder(pluginSpec, handlerNames, pluginName));
+      }
+    }
+  }
+
+  if (pluginSpec.config !== undefined && (typeof pluginSpec.config !== `object`
+      || pluginSpec.config === null)) {
+    addProblem(`config`, `must be an object`);
+  } else if (pluginSpec.configDescriptions !== undefined) {
+    const configKeys = Object.getOwnPropertyNames(pluginSpec.config || {});
+    const descriptionKeys =
+        Object.getOwnPropertyNames(pluginSpec.configDescriptions);
+
+    configKeys.filter((key) => !descriptionKeys.includes(key))
+        .forEach((key) => addProblem(`config.${key}`, `no description in `
+            + `configDescriptions`, `warning`));
+    descriptionKeys.filter((key) => !configKeys.includes(key))
+        .forEach((key) => addProblem(`configDescriptions.${key}`, `describes `
+            + `unknown config key`, `warning`));
+  }
+
+  if (pluginSpec.sensitiveConfigKeys !== undefined) {
+    const sensitiveConfigKeys = pluginSpec.sensitiveConfigKeys;
+
+    if (!Array.isArray(sensitiveConfigKeys)
+        || sensitiveConfigKeys.some((key) => typeof key !== `string`)) {
+      addProblem(`sensitiveConfigKeys`, `must be an array of config keys`);
+    } else {
+      const configKeys = Object.getOwnPropertyNames(pluginSpec.config || {});
+
+      sensitiveConfigKeys.filter((key) => !configKeys.includes(key))
+          .forEach((key) => addProblem(`sensitiveConfigKeys`, `"${key}" is `
+              + `not a config key`, `warning`));
+    }
+  }
+
+  return problems;
+}
 
 //
 // Event handlers
@@ -50,6 +1367,47 @@ function onHhmPluginStateChangeHandler() {
   room.getPluginManager().getRoomManager().handlersDirty = true;
 }
 
+/**
+ * Validates the event names in the order property once the plugin handlers
+ * are known.
+ */
+function onHhmPluginLoadedHandler({ plugin }) {
+  onHhmPluginStateChangeHandler();
+
+  if (plugin.pluginSpec === undefined) return;
+
+  recordPluginSpecProblems(plugin.getName(), validateOrder(plugin.pluginSpec,
+      plugin.getHandlerNames(), plugin.getName()), [`order`]);
+
+  enforceVersionConstraints(plugin);
+}
+
+/**
+ * Disables the plugin again if its version constraints are not satisfied.
+ */
+function onHhmPluginEnabledHandler({ plugin }) {
+  onHhmPluginStateChangeHandler();
+
+  resetHandlerErrors(plugin.getName());
+
+  enforceVersionConstraints(plugin);
+}
+
+/**
+ * Guards the handler function against exceptions.
+ */
+function onHhmEventHandlerSetHandler({ handler }) {
+  const plugin = handler.meta.plugin;
+
+  if (plugin === undefined || plugin.getName() === `hhm/core`
+      || typeof handler.function !== `function`
+      || handler.function[originalFunction] !== undefined) {
+    return;
+  }
+
+  handler.function = createGuardedHandlerFunction(handler);
+}
+
 /**
  * Synchronizes the plugin name when the pluginSpec or _name is set.
  */
@@ -58,8 +1416,7 @@ function onHhmPropertySetHandler({ plugin, propertyName, propertyValue }) {
   if (propertyName === `pluginSpec`) {
 
     // If pluginSpec is no object, use the value as plugin name
-    // TODO document behavior
-    if (typeof propertyValue !== `object`) {
+    if (typeof propertyValue !== `object` || propertyValue === null) {
       plugin.pluginSpec = { name: propertyValue };
       return true;
     }
@@ -73,6 +1430,13 @@ function onHhmPropertySetHandler({ plugin, propertyName, propertyValue }) {
       propertyValue.name = plugin._name;
     }
 
+    const problems = validatePluginSpec(propertyValue,
+        { pluginName: plugin._name });
+    pluginSpecProblems.delete(plugin._name);
+    recordPluginSpecProblems(plugin._name, problems, []);
+
+    extractVersionConstraints(propertyValue, plugin._name);
+
     plugin.setConfig();
 
     return true;
@@ -132,6 +1496,44 @@ function onRoomLinkHandler(roomLink) {
     return roomLink;
   });
 
+  room.extend(`getProfile`, ({}, eventName) => getProfile(eventName));
+
+  for (let functionName of queuedFunctionNames) {
+    room.extend(functionName, ({}, ...args) =>
+        room.getConfig(`actionQueueEnabled`) === true
+            ? queueAction(functionName, args)
+            : executeAction(functionName, args));
+  }
+
+  room.extend(`getRoomState`, getRoomState);
+
+  room.extend(`setScoreLimit`, ({ previousFunction: setScoreLimit }, limit) => {
+    setScoreLimit(limit);
+
+    // Limits can only be changed while the game is stopped
+    if (!room.isGameStarted()) {
+      properties.scoreLimit = limit;
+      updateRoomState();
+    }
+  });
+
+  room.extend(`setTimeLimit`, ({ previousFunction: setTimeLimit }, limit) => {
+    setTimeLimit(limit);
+
+    if (!room.isGameStarted()) {
+      properties.timeLimit = limit;
+      updateRoomState();
+    }
+  });
+
+  room.extend(`setTeamColors`, ({ previousFunction: setTeamColors }, team,
+                                 angle, textColor, colors) => {
+    setTeamColors(team, angle, textColor, colors);
+
+    properties.teamColors[team] = { angle, textColor, colors };
+    updateRoomState();
+  });
+
   room
   // Pre-event handler hooks
   .addPreEventHandlerHook(`onGameStart`, () => {
@@ -159,19 +1561,44 @@ function onRoomLinkHandler(roomLink) {
   })
   .addPreEventHook(`onGameStart`, () => {
     properties.started = true;
+    updateLimits();
   })
   .addPreEventHook(`onGameStop`, () => {
     properties.started = false;
+  })
+  .addPreEventHook(`onStadiumChange`, ({}, newStadiumName) => {
+    properties.stadium = newStadiumName;
+  })
+  // Post event hooks
+  .addPostEventHook(roomStateEvents, () => {
+    updateRoomState();
   });
 
   onHhmPluginStateChangeHandler();
+
+  updateRoomState();
 }
 
 //
 // Exports
 //
 
+room.compareVersions = compareVersions;
+room.getHandlerErrors = getHandlerErrors;
+room.getPluginSpecProblems = getPluginSpecProblems;
+room.getActionQueueSize = getActionQueueSize;
+room.getProfileStart = getProfileStart;
+room.isProfiling = isProfiling;
+room.queueAction = queueAction;
+room.resetHandlerErrors = resetHandlerErrors;
+room.resetProfile = resetProfile;
+room.satisfiesVersion = satisfiesVersion;
+room.setProfiling = setProfiling;
+room.validatePluginSpec = validatePluginSpec;
+
 room.onRoomLink = onRoomLinkHandler;
-room.onHhm_pluginLoaded = room.onHhm_pluginDisabled = room.onHhm_pluginEnabled
-  = onHhmPluginStateChangeHandler;
+room.onHhm_pluginLoaded = onHhmPluginLoadedHandler;
+room.onHhm_pluginEnabled = onHhmPluginEnabledHandler;
+room.onHhm_pluginDisabled = onHhmPluginStateChangeHandler;
+room.onHhm_eventHandlerSet = onHhmEventHandlerSetHandler;
 room.onHhm_propertySet = onHhmPropertySetHandler;
\ No newline at end of file
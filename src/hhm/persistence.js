@@ -1,8 +1,251 @@
 /**
  * Provides a persistence API to allow plugins to persist and restore data.
  *
+ * Plugins can export an onPersist handler, whose return value (or the value
+ * its promise resolves to) is persisted, and an onRestore(data, pluginSpec)
+ * handler, which receives the persisted data and pluginSpec before the plugin
+ * is loaded.
+ *
+ * Persistence cycle:
+ *
+ * Every persistenceIntervalSeconds, the onPersist handlers of all enabled
+ * plugins which are due (see below) are called and awaited. Their data is then
+ * written as one versioned snapshot, which also contains the last persisted
+ * data of plugins that are not enabled or whose onPersist handler failed, so a
+ * failing plugin never leaves the stored data half-written. The last
+ * maxSnapshots snapshots are kept, and on restore the newest intact snapshot is
+ * used.
+ *
+ * Persistence schedules and dirty tracking:
+ *
+ * Plugins can adjust how they are persisted using the persistence property of
+ * their pluginSpec:
+ *
+ * room.pluginSpec = {
+ *   ...,
+ *   persistence: {
+ *     intervalSeconds: 60,  // overrides persistenceIntervalSeconds
+ *     dirtyTracking: true,  // only persist after room.markDirty() was called
+ *     delta: true,          // only write changed parts of the data
+ *     deltaDepth: 2,        // object depth at which the data is split
+ *   },
+ * };
+ *
+ * The schedules of all plugins are aligned to the start of the scheduler, so
+ * plugins with the same interval (or a multiple of it) are due at the same
+ * time and are persisted together in one snapshot.
+ *
+ * Plugins using dirty tracking call room.markDirty() whenever their persisted
+ * data changes, and are only persisted when they are due and dirty. Plugins
+ * which are due but not dirty stay due until they are marked dirty. Calling
+ * room.markDirty() also enables dirty tracking for plugins which did not
+ * enable it in their pluginSpec. room.markDirty(pluginName) marks another
+ * plugin as dirty.
+ *
+ * For plugins using delta persistence, the persisted data is split into
+ * chunks at the configured object depth (e.g. one chunk per user for
+ * { usersByAuth: { auth: user } } and a depth of 2), and only chunks whose
+ * content changed are written. Chunks are stored under the SHA-256 hash of
+ * their content, they are shared between snapshots and removed once no
+ * snapshot refers to them anymore. Delta persistence requires WebCrypto,
+ * without it the data is persisted as a whole.
+ *
+ * Configuration changes of persistenceIntervalSeconds and maxSnapshots are
+ * applied at runtime, changing the storage backend requires a restart.
+ *
+ * Typed serialization:
+ *
+ * Persisted data is encoded so that Set, Map, Date and BigInt values survive
+ * the round trip through the storage, onRestore receives real instances of
+ * these types. Other classes can be made serializable by registering an
+ * encoder and decoder, preferably at the top level of the plugin script so the
+ * type is known when the plugin data is restored:
+ *
+ * room.getPlugin(`hhm/persistence`).registerSerializableType(`aut/Point`,
+ *   Point, {
+ *     encode: (point) => [point.x, point.y],
+ *     decode: ([x, y]) => new Point(x, y),
+ *   });
+ *
+ * The encoded value may itself contain serializable types. Functions are not
+ * persisted, and circular references lead to an error.
+ *
+ * Migrations:
+ *
+ * If the format of the persisted data changes between plugin versions, the
+ * plugin can export migration steps keyed by the version which introduced the
+ * new format:
+ *
+ * room.migrations = {
+ *   '1.1.0': (data, pluginSpec) => { ...; return migratedData; },
+ *   '2.0.0': async (data, pluginSpec) => { ... },
+ * };
+ *
+ * Before onRestore is called, all steps with a version above the persisted
+ * pluginSpec.version and up to the current plugin version are run in
+ * ascending order, each receiving the result of the previous step and the
+ * persisted pluginSpec. If the persisted pluginSpec has no version, all steps
+ * up to the current version are run. If a step fails or one of the versions is
+ * invalid, the error is logged, onRestore is not called, and the persisted data
+ * of the plugin is kept unchanged instead of being overwritten by the next
+ * persistence cycle. The same applies if onRestore throws or rejects.
+ *
+ * Events:
+ *
+ *  - onBeforePersist: triggered before the plugin data is collected
+ *  - onPersistComplete({ snapshotId, timestamp, pluginNames,
+ *    failedPluginNames }): triggered after a snapshot has been written
+ *  - onPersistFailed({ pluginName, error }): triggered for each plugin whose
+ *    onPersist handler failed, and with pluginName undefined if the snapshot
+ *    could not be written
+ *
+ * Sensitive configuration:
+ *
+ * The persisted pluginSpec includes the plugin configuration. Plugins can mark
+ * config keys which must not be stored in plain text, e.g. passwords:
+ *
+ * room.pluginSpec = {
+ *   ...,
+ *   sensitiveConfigKeys: [`roles`],
+ * };
+ *
+ * Depending on sensitiveConfigMode, these keys are either left out of the
+ * persisted pluginSpec (`omit`) or encrypted with AES-GCM using a key derived
+ * from the host-provided encryptionKey (`encrypt`). Encrypted values are
+ * decrypted before the pluginSpec is passed to onRestore. If they cannot be
+ * decrypted, e.g. because the encryptionKey has changed, they are left out and
+ * a warning is logged. If encryption is not possible because no encryptionKey
+ * is configured or WebCrypto is unavailable, the keys are left out as well.
+ * Bundles created by exportPersistence contain the encrypted values, so the
+ * importing room needs the same encryptionKey.
+ *
+ * Status, export and import:
+ *
+ *  - getPersistenceStatus(): returns { lastSnapshot, snapshotIds, plugins,
+ *    failures }, where plugins maps plugin names to { size, lastPersistence,
+ *    preserved } and failures lists the last failure per plugin
+ *  - clearPluginData(pluginName): removes the persisted data of the plugin
+ *  - room.exportPersistence(): persists all plugins and returns a checksummed
+ *    JSON bundle of all persisted plugin data
+ *  - room.importPersistence(bundle): writes the plugin data of the given bundle
+ *    and passes it to the onRestore handlers of loaded plugins, e.g. to move
+ *    users and roles to a new host
+ *
+ * Export and import are available on the room object of every plugin, all of
+ * these functions are also exported by this plugin.
+ *
+ * The sav/persistence-control plugin provides in-room commands for these.
+ *
+ * Storage backends:
+ *
+ * The storage backend is selected using the storageBackend configuration
+ * parameter, options for the backend are passed in storageOptions:
+ *
+ *  - `hhm`: the default HHM storage (HHM.storage.create), requires browser
+ *    storage support
+ *  - `localStorage`: window.localStorage, keys are prefixed with
+ *    storageOptions.name (defaults to `hhm/persistence`)
+ *  - `indexedDB`: an IndexedDB database named storageOptions.name
+ *  - `memory`: an in-memory store which is lost when the room is closed,
+ *    mainly useful for tests
+ *  - `rest`: an asynchronous REST backend at storageOptions.url, additional
+ *    request headers can be passed in storageOptions.headers. The server has
+ *    to support GET /items (array of keys), and GET, PUT and DELETE
+ *    /items/KEY with JSON bodies, responding with 404 for unknown keys
+ *
+ * Data can be copied between backends using
+ *
+ * room.getPlugin(`hhm/persistence`).migrateStorage(
+ *   { type: `localStorage` }, { type: `rest`, options: { url } });
+ *
+ * The snapshots in the target backend are replaced by those of the source
+ * backend. If the target backend is omitted, the data is copied into the
+ * active backend and the newest snapshot is reloaded. Plugins which have
+ * already been restored only receive the migrated data after a restart of the
+ * room.
+ *
+ * Configuration:
+ *
+ *  - maxSnapshots: Number of snapshots to keep. Defaults to 3.
+ *  - persistenceIntervalSeconds: Interval between persistence cycles. Defaults
+ *    to 300.
+ *  - storageBackend: Storage backend, see above. Defaults to `hhm`.
+ *  - storageOptions: Options for the storage backend, see above.
+ *  - sensitiveConfigMode: `omit` or `encrypt`, see above. Defaults to `omit`.
+ *  - encryptionKey: Passphrase used to encrypt sensitive config values.
+ *
  * Changelog:
  *
+ * 2.6.9:
+ *  - align the persistence schedules of all plugins, so plugins with the same
+ *    interval are persisted in one snapshot
+ *  - keep plugins using dirty tracking due until they are marked dirty instead
+ *    of restarting their interval
+ *
+ * 2.6.8:
+ *  - no longer compare the handler error counts of hhm/core after onPersist,
+ *    the handler guard rethrows onPersist errors
+ *
+ * 2.6.7:
+ *  - catch errors of onRestore handlers and keep the persisted data of the
+ *    plugin unchanged
+ *
+ * 2.6.6:
+ *  - add room.exportPersistence() and room.importPersistence() to the room API
+ *
+ * 2.6.5:
+ *  - use SHA-256 hashes as chunk keys for delta persistence, chunks written by
+ *    previous versions can still be read
+ *
+ * 2.6.4:
+ *  - run storage migrations within the persistence queue
+ *  - remove the snapshots of the target backend before migrating storage, so
+ *    they are not orphaned and their IDs do not collide with migrated ones
+ *
+ * 2.6.3:
+ *  - treat invalid persisted or plugin versions as migration failures
+ *
+ * 2.6.2:
+ *  - keep Set, Map and Date instances when decoding data read from storages
+ *    using structured cloning
+ *
+ * 2.6.1:
+ *  - keep the previous data and trigger onPersistFailed if the handler guard
+ *    of hhm/core caught an error of the onPersist handler
+ *
+ * 2.6.0:
+ *  - support sensitiveConfigKeys, which are left out of or encrypted in the
+ *    persisted pluginSpec
+ *
+ * 2.5.0:
+ *  - add getPersistenceStatus, clearPluginData, exportPersistence and
+ *    importPersistence
+ *
+ * 2.4.0:
+ *  - add room.markDirty() and dirty tracking
+ *  - add per-plugin persistence intervals
+ *  - add delta persistence which only writes changed chunks of plugin data
+ *  - apply changes of persistenceIntervalSeconds and maxSnapshots at runtime
+ *
+ * 2.3.0:
+ *  - support localStorage, IndexedDB, in-memory and REST storage backends and
+ *    migrating data between backends
+ *
+ * 2.2.0:
+ *  - run plugin data migrations before onRestore
+ *
+ * 2.1.0:
+ *  - add typed serialization which preserves Set, Map, Date, BigInt and
+ *    registered custom types
+ *
+ * 2.0.0:
+ *  - wait for all plugins to be persisted, including async onPersist handlers
+ *  - write all plugin data as one versioned snapshot and keep the last
+ *    maxSnapshots snapshots
+ *  - restore from the newest intact snapshot, falling back to older snapshots,
+ *    data persisted by version 1.x is imported if there are no snapshots
+ *  - add onPersistComplete and onPersistFailed events
+ *
  * 1.1.0:
  *  - add onBeforePersist event to let plugins prepare for persistence
  *  - export persistAllPluginData
@@ -18,108 +261,1468 @@ var room = HBInit();
 room.pluginSpec = {
   name: `hhm/persistence`,
   author: `saviola`,
-  version: `1.1.0`,
+  version: `2.6.9`,
   dependencies: [
     `hhm/persistence`, // Can't be disabled
   ],
-  // TODO document and accept config updates
   config: {
+    maxSnapshots: 3,
     persistenceIntervalSeconds: 300,
-  }
+    storageBackend: `hhm`,
+    storageOptions: {},
+    sensitiveConfigMode: `omit`,
+    encryptionKey: ``,
+  },
+  sensitiveConfigKeys: [
+    `encryptionKey`,
+    `storageOptions`,
+  ],
 };
 
 //
 // Global variables
 //
 
+/**
+ * Version of the snapshot format.
+ */
+const SNAPSHOT_FORMAT_VERSION = 2;
+
+/**
+ * Interval in which the persistence schedules of the plugins are checked.
+ */
+const SCHEDULER_INTERVAL_MILLISECONDS = 1000;
+
+/**
+ * Property which marks encoded typed values.
+ */
+const TYPE_PROPERTY = `__type`;
+
+/**
+ * Factories for the supported storage backends.
+ *
+ * Each backend provides the async functions getItem (resolving to null for
+ * unknown keys), setItem, removeItem and keys.
+ */
+const storageBackends = {
+  hhm: createHhmStorage,
+  indexedDB: createIndexedDbStorage,
+  localStorage: createLocalStorage,
+  memory: createMemoryStorage,
+  rest: createRestStorage,
+};
+
+/**
+ * Property which marks encrypted config values.
+ */
+const ENCRYPTED_PROPERTY = `__encrypted`;
+
+/**
+ * Number of PBKDF2 iterations used to derive the encryption key.
+ */
+const KEY_DERIVATION_ITERATIONS = 100000;
+
+/**
+ * Storage key of the snapshot index, which contains the IDs of the stored
+ * snapshots, oldest first, and the chunk keys referenced by each snapshot.
+ */
+const SNAPSHOT_INDEX_KEY = `snapshots`;
+
+/**
+ * Prefix of the storage keys of data chunks written by delta persistence.
+ */
+const CHUNK_KEY_PREFIX = `chunk_`;
+
+/**
+ * Matches the chunk keys written by versions before 2.6.5.
+ */
+const legacyChunkKeyRegExp = /^chunk_[0-9a-f]{8}_\d+$/;
+
 let interval, storage;
 
+/**
+ * Time at which the persistence scheduler was started, the schedules of all
+ * plugins are aligned to it.
+ */
+let schedulerStart = Date.now();
+
+/**
+ * Persisted data by plugin name, as contained in the last written or restored
+ * snapshot.
+ */
+let persistedPlugins = {};
+
+/**
+ * Maps type names to serializable types of the form { type, encode, decode }.
+ */
+const serializableTypes = new Map();
+
+/**
+ * Names of plugins whose persisted data could not be migrated or restored and
+ * is kept unchanged.
+ */
+const preservedPluginNames = new Set();
+
+/**
+ * IDs of the stored snapshots, oldest first.
+ */
+let snapshotIds = [];
+
+/**
+ * Maps snapshot IDs to the chunk keys referenced by the snapshot.
+ */
+let snapshotChunkKeys = {};
+
+/**
+ * Names of plugins which are marked dirty, and of plugins which use dirty
+ * tracking.
+ */
+const dirtyPluginNames = new Set();
+const dirtyTrackingPluginNames = new Set();
+
+/**
+ * Maps plugin names to the time of their last persistence.
+ */
+const lastPersistenceTimes = new Map();
+
+/**
+ * Derived encryption keys by salt, for the passphrase they were derived from,
+ * and the salt used for encrypting in this session.
+ */
+let encryptionKeys = new Map(), encryptionPassphrase, encryptionSalt;
+
+/**
+ * Whether the warning about sensitive config values which cannot be encrypted
+ * has been logged.
+ */
+let encryptionWarningLogged = false;
+
+/**
+ * Status of the last persistence cycles: the last written snapshot, the size
+ * of the last persisted data per plugin, and the last failure per plugin name
+ * (undefined for failures to write the snapshot).
+ */
+const persistenceStatus = {
+  lastSnapshot: undefined,
+  dataSizes: new Map(),
+  failures: new Map(),
+};
+
+/**
+ * Promise chain which serializes persistence cycles.
+ */
+let persistenceQueue = Promise.resolve();
+
+/**
+ * Resolved once the storage has been initialized and the snapshot has been
+ * loaded.
+ */
+let resolveInitialized;
+const initialized = new Promise((resolve) => resolveInitialized = resolve);
+
 //
 // Plugin functions
 //
 
 /**
- * Persists the data of all enabled plugins
+ * Calculates a checksum (32 bit FNV-1a) for the given string.
  */
-async function persistAllPluginData() {
-  room.triggerEvent(`onBeforePersist`);
+function calculateChecksum(string) {
+  let hash = 0x811c9dc5;
+
+  for (let i = 0; i < string.length; i++) {
+    hash ^= string.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
 
-  // TODO does this wait for all persistence as expected?
-  await room.getPluginManager().getEnabledPluginIds()
-      .map((id) => room.getPluginManager().getPlugin(id))
-      .forEach(async (plugin) => await persistPluginData(plugin));
+  return (hash >>> 0).toString(16).padStart(8, `0`);
 }
 
 /**
- * TODO documentation
+ * Removes the persisted data of the given plugin by writing a new snapshot
+ * without it.
+ *
+ * If the plugin is enabled, its data will be persisted again in its next
+ * persistence cycle.
+ *
+ * @returns Promise which resolves to true if the snapshot was written, false
+ *  otherwise.
  */
-async function persistPluginData(plugin) {
-  if (!plugin.hasName()) return;
+function clearPluginData(pluginName) {
+  preservedPluginNames.delete(pluginName);
+  dirtyPluginNames.delete(pluginName);
+  persistenceStatus.dataSizes.delete(pluginName);
+  persistenceStatus.failures.delete(pluginName);
+
+  return enqueuePersistenceCycle([], { removedPluginNames: [pluginName] });
+}
+
+/**
+ * Creates the default HHM storage.
+ */
+async function createHhmStorage({ name = `hhm/persistence` } = {}) {
+  if (typeof Storage === `undefined`) {
+    throw new Error(`browser does not support storage`);
+  }
+
+  return HHM.storage.create({ name });
+}
+
+/**
+ * Creates a storage backed by an IndexedDB database.
+ */
+async function createIndexedDbStorage({ name = `hhm/persistence` } = {}) {
+  if (typeof indexedDB === `undefined`) {
+    throw new Error(`browser does not support IndexedDB`);
+  }
+
+  const STORE_NAME = `items`;
 
-  const persistedData = {
-    data: typeof plugin.onPersist === `function` ? plugin.onPersist() : undefined,
-    pluginSpec: plugin.pluginSpec
+  const toPromise = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+  const openRequest = indexedDB.open(name, 1);
+  openRequest.onupgradeneeded = () =>
+      openRequest.result.createObjectStore(STORE_NAME);
+  const database = await toPromise(openRequest);
+
+  const getStore = (mode) =>
+      database.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+
+  return {
+    getItem: async (key) => {
+      const value = await toPromise(getStore(`readonly`).get(key));
+      return value === undefined ? null : value;
+    },
+    setItem: async (key, value) => {
+      await toPromise(getStore(`readwrite`).put(value, key));
+    },
+    removeItem: async (key) => {
+      await toPromise(getStore(`readwrite`).delete(key));
+    },
+    keys: async () => (await toPromise(getStore(`readonly`).getAllKeys()))
+        .map((key) => String(key)),
   };
+}
+
+/**
+ * Creates a storage backed by window.localStorage.
+ */
+async function createLocalStorage({ name = `hhm/persistence` } = {}) {
+  if (typeof localStorage === `undefined`) {
+    throw new Error(`browser does not support localStorage`);
+  }
+
+  const prefix = `${name}/`;
 
-  await storage.setItem(plugin._name, persistedData);
+  return {
+    getItem: async (key) => {
+      const value = localStorage.getItem(prefix + key);
+      return value === null ? null : JSON.parse(value);
+    },
+    setItem: async (key, value) => {
+      localStorage.setItem(prefix + key, JSON.stringify(value));
+    },
+    removeItem: async (key) => {
+      localStorage.removeItem(prefix + key);
+    },
+    keys: async () => Object.keys(localStorage)
+        .filter((key) => key.startsWith(prefix))
+        .map((key) => key.substr(prefix.length)),
+  };
 }
 
-async function persistPluginDataWrapper(plugin) {
-  room.triggerEvent(`onBeforePersist`);
+/**
+ * Creates an in-memory storage.
+ *
+ * Values are stored as JSON to behave like the persistent backends.
+ */
+async function createMemoryStorage() {
+  const items = new Map();
 
-  await persistPluginData(plugin);
+  return {
+    getItem: async (key) => items.has(key) ? JSON.parse(items.get(key)) : null,
+    setItem: async (key, value) => {
+      items.set(key, JSON.stringify(value));
+    },
+    removeItem: async (key) => {
+      items.delete(key);
+    },
+    keys: async () => Array.from(items.keys()),
+  };
 }
 
-//
-// Event handlers
-//
+/**
+ * Creates a storage backed by a REST server.
+ */
+async function createRestStorage({ url, headers = {} } = {}) {
+  if (typeof url !== `string` || url.length === 0) {
+    throw new Error(`storageOptions.url must be specified for the REST `
+        + `backend`);
+  }
+
+  const baseUrl = `${url.replace(/\/+$/, ``)}/items`;
+
+  const request = async (method, key, value) => {
+    const response = await fetch(key === undefined ? baseUrl
+        : `${baseUrl}/${encodeURIComponent(key)}`, {
+      method,
+      headers: Object.assign({ 'Content-Type': `application/json` }, headers),
+      body: value === undefined ? undefined : JSON.stringify(value),
+    });
+
+    if (method === `GET` && response.status === 404) {
+      return null;
+    }
+
+    if (!response.ok) {
+      throw new Error(`${method} request for ${key === undefined ? `keys`
+          : `key ${key}`} failed with status ${response.status}`);
+    }
+
+    return method === `GET` ? response.json() : undefined;
+  };
+
+  return {
+    getItem: (key) => request(`GET`, key),
+    setItem: (key, value) => request(`PUT`, key, value),
+    removeItem: (key) => request(`DELETE`, key),
+    keys: async () => (await request(`GET`)) || [],
+  };
+}
 
 /**
- * TODO documentation
+ * Creates a storage backend of the given type.
+ *
+ * @throws Error if the type is unknown or the backend is not available.
  */
-async function onRoomLinkHandler() {
-  storage = await HHM.storage.create({
-    name: `hhm/persistence`
-  });
+async function createStorage(type, options) {
+  if (!storageBackends.hasOwnProperty(type)) {
+    throw new Error(`unknown storage backend ${type}`);
+  }
 
-  // Set up persistence interval
-  interval = setInterval(() => persistAllPluginData(),
-      room.getConfig().persistenceIntervalSeconds * 1000);
+  return storageBackends[type](options);
 }
 
 /**
- * TODO documentation
+ * Splits the data of the given encoded plugin entry into chunks at the given
+ * depth.
+ *
+ * @returns Object { entry, chunks }, where entry is the plugin entry with the
+ *  chunks replaced by a list of [path, chunkKey] pairs, and chunks maps chunk
+ *  keys to chunk values.
  */
-async function onHhmBeforePluginLoadedHandler({ plugin }) {
-  // restore plugin data if any
-  const persistedData = await storage.getItem(plugin._name);
+async function createChunkedEntry(entry, depth) {
+  const chunkValues = [];
+
+  const isPlainObject = (value) => typeof value === `object`
+      && value !== null && !Array.isArray(value)
+      && !value.hasOwnProperty(TYPE_PROPERTY);
+
+  const split = (value, path) => {
+    if (!isPlainObject(value)) return value;
+
+    const skeleton = {};
 
-  if (persistedData === null || typeof plugin.onRestore !== `function`) return;
+    for (let key of Object.getOwnPropertyNames(value)) {
+      const propertyValue = value[key];
 
-  plugin.onRestore(persistedData.data, persistedData.pluginSpec);
+      if (path.length + 1 < depth || typeof propertyValue !== `object`
+          || propertyValue === null) {
+        skeleton[key] = split(propertyValue, path.concat(key));
+        continue;
+      }
+
+      chunkValues.push([path.concat(key), propertyValue]);
+    }
+
+    return skeleton;
+  };
+
+  const data = split(entry.data, []);
+  const chunks = new Map();
+  const chunkPaths = [];
+
+  for (let [path, value] of chunkValues) {
+    const chunkKey = await getChunkKey(value);
+    chunks.set(chunkKey, value);
+    chunkPaths.push([path, chunkKey]);
+  }
+
+  return { entry: { data, pluginSpec: entry.pluginSpec, chunks: chunkPaths },
+    chunks };
 }
 
 /**
- * TODO documentation
+ * Returns the content-based storage key for the given chunk value, which
+ * contains the SHA-256 hash of the value.
  */
-async function onHhmPluginDisabledHandler({ plugin }) {
-  return persistPluginData(plugin);
+async function getChunkKey(value) {
+  const hash = await crypto.subtle.digest(`SHA-256`,
+      new TextEncoder().encode(JSON.stringify(value)));
+
+  return CHUNK_KEY_PREFIX + Array.from(new Uint8Array(hash),
+      (byte) => byte.toString(16).padStart(2, `0`)).join(``);
 }
 
-//
-// Exports
-//
+/**
+ * Returns the storage key for the given chunk value as used by versions before
+ * 2.6.5, which contains a 32 bit checksum and the length of the value.
+ */
+function getLegacyChunkKey(value) {
+  const json = JSON.stringify(value);
+
+  return `${CHUNK_KEY_PREFIX}${calculateChecksum(json)}_${json.length}`;
+}
+
+/**
+ * Returns the chunk keys referenced by the given plugin entries.
+ */
+function getReferencedChunkKeys(pluginEntries) {
+  return [...new Set(Object.values(pluginEntries)
+      .filter((entry) => Array.isArray(entry.chunks))
+      .map((entry) => entry.chunks.map(([, chunkKey]) => chunkKey))
+      .flat())];
+}
+
+/**
+ * Returns the persistence settings of the given plugin.
+ */
+function getPersistenceSettings(plugin) {
+  return Object.assign({ dirtyTracking: false, delta: false, deltaDepth: 2,
+    intervalSeconds: undefined }, (plugin.pluginSpec || {}).persistence);
+}
+
+/**
+ * Returns whether the given plugin is due for persistence, i.e. whether an
+ * interval of the plugin has begun since it was last persisted. Intervals are
+ * counted from the start of the scheduler.
+ */
+function isPersistenceDue(plugin, now) {
+  const settings = getPersistenceSettings(plugin);
+  const intervalSeconds = settings.intervalSeconds !== undefined
+      ? settings.intervalSeconds : room.getConfig().persistenceIntervalSeconds;
+
+  if (!(intervalSeconds > 0)) return false;
+
+  if (!lastPersistenceTimes.has(plugin._name)) {
+    lastPersistenceTimes.set(plugin._name, now);
+  }
+
+  const getIntervalIndex = (time) =>
+      Math.floor((time - schedulerStart) / (intervalSeconds * 1000));
+
+  if (getIntervalIndex(now)
+      <= getIntervalIndex(lastPersistenceTimes.get(plugin._name))) {
+    return false;
+  }
+
+  // The timer is not reset, so the plugin is persisted once it is dirty
+  return !(settings.dirtyTracking
+      || dirtyTrackingPluginNames.has(plugin._name))
+      || dirtyPluginNames.has(plugin._name);
+}
+
+/**
+ * Marks the given plugin as dirty, i.e. its data has changed and should be
+ * persisted in the next persistence cycle for the plugin.
+ */
+function markDirty(pluginName) {
+  dirtyTrackingPluginNames.add(pluginName);
+  dirtyPluginNames.add(pluginName);
+}
 
-if (typeof Storage !== `undefined`) {
-  room.persistPluginData = persistPluginDataWrapper;
-  room.persistAllPluginData = persistAllPluginData;
+/**
+ * Reassembles the data of the given plugin entry from its chunks.
+ *
+ * @throws Error if a chunk is missing or damaged.
+ */
+async function resolveChunkedEntry(entry) {
+  if (!Array.isArray(entry.chunks)) return entry;
+
+  const data = JSON.parse(JSON.stringify(entry.data));
+
+  for (let [path, chunkKey] of entry.chunks) {
+    const chunk = await storage.getItem(chunkKey);
+
+    if (chunk === null || chunkKey !== (legacyChunkKeyRegExp.test(chunkKey)
+        ? getLegacyChunkKey(chunk) : await getChunkKey(chunk))) {
+      throw new Error(`chunk ${chunkKey} is missing or damaged`);
+    }
+
+    let parent = data;
+    path.slice(0, -1).forEach((key) => parent = parent[key]);
+    parent[path[path.length - 1]] = chunk;
+  }
+
+  return { data, pluginSpec: entry.pluginSpec };
+}
+
+/**
+ * Persists the plugins which are due according to their persistence settings,
+ * all of them in one snapshot.
+ */
+function runScheduledPersistence() {
+  const manager = room.getPluginManager();
+  const now = Date.now();
+
+  const duePlugins = manager.getEnabledPluginIds()
+      .map((id) => manager.getPlugin(id))
+      .filter((plugin) => plugin.hasName() && isPersistenceDue(plugin, now));
+
+  if (duePlugins.length === 0) return;
+
+  duePlugins.forEach((plugin) => lastPersistenceTimes.set(plugin._name, now));
 
-  room.onRoomLink = onRoomLinkHandler;
+  persistPlugins(duePlugins);
+}
+
+/**
+ * Calls the onPersist handler of the given plugin and returns the data to be
+ * persisted.
+ *
+ * @throws Error if the onPersist handler failed.
+ */
+async function createPersistedData(plugin) {
+  let data;
 
-  room.onHhm_beforePluginLoaded = onHhmBeforePluginLoadedHandler;
-  room.onHhm_pluginDisabled = onHhmPluginDisabledHandler;
-} else {
-  room.onRoomLink = () => {
-    room.log(`Persistence disabled because browser does not support storage`);
+  if (typeof plugin.onPersist === `function`) {
+    data = await plugin.onPersist();
   }
-}
\ No newline at end of file
+
+  return {
+    data,
+    pluginSpec: await protectPluginSpec(plugin.pluginSpec),
+  };
+}
+
+/**
+ * Converts the given base64 string to a byte array.
+ */
+function decodeBase64(string) {
+  return Uint8Array.from(atob(string), (character) => character.charCodeAt(0));
+}
+
+/**
+ * Converts the given byte array to a base64 string.
+ */
+function encodeBase64(bytes) {
+  let string = ``;
+
+  for (let byte of new Uint8Array(bytes)) {
+    string += String.fromCharCode(byte);
+  }
+
+  return btoa(string);
+}
+
+/**
+ * Decrypts a value encrypted by encryptConfigValue.
+ *
+ * @throws Error if the value cannot be decrypted.
+ */
+async function decryptConfigValue(encryptedValue) {
+  const { salt, iv, data } = encryptedValue[ENCRYPTED_PROPERTY];
+
+  const plaintext = await crypto.subtle.decrypt(
+      { name: `AES-GCM`, iv: decodeBase64(iv) },
+      await getEncryptionKey(salt), decodeBase64(data));
+
+  return decodeValue(JSON.parse(new TextDecoder().decode(plaintext)));
+}
+
+/**
+ * Encrypts the given config value using AES-GCM.
+ *
+ * @returns Object which contains the salt, IV and ciphertext in base64.
+ */
+async function encryptConfigValue(value) {
+  if (encryptionSalt === undefined) {
+    encryptionSalt = encodeBase64(crypto.getRandomValues(new Uint8Array(16)));
+  }
+
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await crypto.subtle.encrypt({ name: `AES-GCM`, iv },
+      await getEncryptionKey(encryptionSalt),
+      new TextEncoder().encode(JSON.stringify(encodeValue(value))));
+
+  return { [ENCRYPTED_PROPERTY]: { salt: encryptionSalt,
+    iv: encodeBase64(iv), data: encodeBase64(ciphertext) } };
+}
+
+/**
+ * Derives the AES-GCM key for the given salt from the configured
+ * encryptionKey, keys are cached until the encryptionKey changes.
+ */
+async function getEncryptionKey(salt) {
+  const passphrase = room.getConfig().encryptionKey;
+
+  if (passphrase !== encryptionPassphrase) {
+    encryptionKeys = new Map();
+    encryptionPassphrase = passphrase;
+  }
+
+  if (!encryptionKeys.has(salt)) {
+    const baseKey = await crypto.subtle.importKey(`raw`,
+        new TextEncoder().encode(passphrase), `PBKDF2`, false, [`deriveKey`]);
+
+    encryptionKeys.set(salt, await crypto.subtle.deriveKey(
+        { name: `PBKDF2`, salt: decodeBase64(salt),
+          iterations: KEY_DERIVATION_ITERATIONS, hash: `SHA-256` },
+        baseKey, { name: `AES-GCM`, length: 256 }, false,
+        [`encrypt`, `decrypt`]));
+  }
+
+  return encryptionKeys.get(salt);
+}
+
+/**
+ * Returns whether SHA-256 hashes can be calculated, which is required for
+ * delta persistence.
+ */
+function isHashingAvailable() {
+  return typeof crypto === `object` && crypto.subtle !== undefined;
+}
+
+/**
+ * Returns whether sensitive config values can be encrypted or decrypted.
+ */
+function isEncryptionAvailable() {
+  return typeof room.getConfig().encryptionKey === `string`
+      && room.getConfig().encryptionKey.length > 0
+      && typeof crypto === `object` && crypto.subtle !== undefined;
+}
+
+/**
+ * Returns a copy of the given pluginSpec in which the sensitive config values
+ * are left out or encrypted, depending on sensitiveConfigMode.
+ */
+async function protectPluginSpec(pluginSpec) {
+  if (typeof pluginSpec !== `object` || pluginSpec === null
+      || !Array.isArray(pluginSpec.sensitiveConfigKeys)
+      || typeof pluginSpec.config !== `object` || pluginSpec.config === null) {
+    return pluginSpec;
+  }
+
+  let encrypt = room.getConfig().sensitiveConfigMode === `encrypt`;
+
+  if (encrypt && !isEncryptionAvailable()) {
+    encrypt = false;
+
+    if (!encryptionWarningLogged) {
+      encryptionWarningLogged = true;
+      room.log(`Unable to encrypt sensitive config values, no encryptionKey `
+          + `configured or WebCrypto unavailable, the values will not be `
+          + `persisted`, HHM.log.level.WARN);
+    }
+  }
+
+  const config = Object.assign({}, pluginSpec.config);
+
+  for (let key of pluginSpec.sensitiveConfigKeys) {
+    if (!config.hasOwnProperty(key)) continue;
+
+    if (encrypt) {
+      config[key] = await encryptConfigValue(config[key]);
+    } else {
+      delete config[key];
+    }
+  }
+
+  return Object.assign({}, pluginSpec, { config });
+}
+
+/**
+ * Decrypts the encrypted config values of the given persisted pluginSpec.
+ *
+ * Values which cannot be decrypted are left out.
+ */
+async function revealPluginSpec(pluginSpec, pluginName) {
+  if (typeof pluginSpec !== `object` || pluginSpec === null
+      || typeof pluginSpec.config !== `object` || pluginSpec.config === null) {
+    return pluginSpec;
+  }
+
+  const config = Object.assign({}, pluginSpec.config);
+
+  for (let key of Object.getOwnPropertyNames(config)) {
+    if (typeof config[key] !== `object` || config[key] === null
+        || !config[key].hasOwnProperty(ENCRYPTED_PROPERTY)) {
+      continue;
+    }
+
+    try {
+      if (!isEncryptionAvailable()) {
+        throw new Error(`no encryptionKey configured or WebCrypto unavailable`);
+      }
+
+      config[key] = await decryptConfigValue(config[key]);
+    } catch (error) {
+      delete config[key];
+      room.log(`Unable to decrypt config value ${key} of plugin `
+          + `${pluginName}, leaving it out: ${error.name === `OperationError`
+              ? `wrong encryptionKey or damaged value` : error.message}`,
+          HHM.log.level.WARN);
+    }
+  }
+
+  return Object.assign({}, pluginSpec, { config });
+}
+
+/**
+ * Decodes a value encoded by encodeValue().
+ */
+function decodeValue(value) {
+  if (Array.isArray(value)) {
+    return value.map((element) => decodeValue(element));
+  }
+
+  if (typeof value !== `object` || value === null) {
+    return value;
+  }
+
+  // Storages using structured cloning can contain real instances, e.g. in
+  // data persisted by version 1.x
+  if (value instanceof Date || value instanceof Map || value instanceof Set) {
+    return value;
+  }
+
+  if (!value.hasOwnProperty(TYPE_PROPERTY)) {
+    return decodeProperties(value);
+  }
+
+  const typeName = value[TYPE_PROPERTY];
+
+  switch (typeName) {
+    case `Object`: return decodeProperties(value.value);
+    case `BigInt`: return BigInt(value.value);
+    case `Date`: return new Date(value.value);
+    case `Map`: return new Map(value.value.map(
+        ([key, mapValue]) => [decodeValue(key), decodeValue(mapValue)]));
+    case `Set`: return new Set(value.value.map((element) =>
+        decodeValue(element)));
+  }
+
+  if (!serializableTypes.has(typeName)) {
+    room.log(`Unknown serializable type ${typeName}, keeping encoded value`,
+        HHM.log.level.WARN);
+    return value;
+  }
+
+  return serializableTypes.get(typeName).decode(decodeValue(value.value));
+}
+
+/**
+ * Decodes the properties of the given plain object.
+ */
+function decodeProperties(object) {
+  const decodedObject = {};
+
+  for (let key of Object.getOwnPropertyNames(object)) {
+    decodedObject[key] = decodeValue(object[key]);
+  }
+
+  return decodedObject;
+}
+
+/**
+ * Encodes the given value into a JSON compatible value which preserves typed
+ * values.
+ *
+ * @throws TypeError if the value contains circular references.
+ */
+function encodeValue(value, ancestors = new Set()) {
+  if (typeof value === `bigint`) {
+    return { [TYPE_PROPERTY]: `BigInt`, value: value.toString() };
+  }
+
+  if (typeof value === `function` || typeof value === `symbol`) {
+    return undefined;
+  }
+
+  if (typeof value !== `object` || value === null) {
+    return value;
+  }
+
+  if (ancestors.has(value)) {
+    throw new TypeError(`Unable to encode circular reference`);
+  }
+
+  ancestors.add(value);
+
+  const encode = (v) => encodeValue(v, ancestors);
+  let encodedValue;
+
+  const customType = Array.from(serializableTypes.entries())
+      .find(([, { type }]) => value instanceof type);
+
+  if (customType !== undefined) {
+    encodedValue = { [TYPE_PROPERTY]: customType[0],
+      value: encode(customType[1].encode(value)) };
+  } else if (Array.isArray(value)) {
+    encodedValue = value.map(encode);
+  } else if (value instanceof Date) {
+    encodedValue = { [TYPE_PROPERTY]: `Date`, value: value.getTime() };
+  } else if (value instanceof Map) {
+    encodedValue = { [TYPE_PROPERTY]: `Map`, value: Array.from(value.entries())
+          .map(([key, mapValue]) => [encode(key), encode(mapValue)]) };
+  } else if (value instanceof Set) {
+    encodedValue = { [TYPE_PROPERTY]: `Set`,
+      value: Array.from(value.values()).map(encode) };
+  } else {
+    encodedValue = {};
+
+    for (let key of Object.getOwnPropertyNames(value)) {
+      const encodedProperty = encode(value[key]);
+
+      if (encodedProperty !== undefined) {
+        encodedValue[key] = encodedProperty;
+      }
+    }
+
+    // Escape objects which could be mistaken for typed values
+    if (value.hasOwnProperty(TYPE_PROPERTY)) {
+      encodedValue = { [TYPE_PROPERTY]: `Object`, value: encodedValue };
+    }
+  }
+
+  ancestors.delete(value);
+
+  return encodedValue;
+}
+
+/**
+ * Persists the data of all enabled plugins and returns a JSON bundle of all
+ * persisted plugin data, which can be imported in another room using
+ * importPersistence.
+ *
+ * Delta-persisted data is reassembled, so the bundle does not depend on the
+ * storage backend.
+ */
+async function exportPersistence() {
+  await persistAllPluginData();
+
+  const plugins = {};
+
+  for (let pluginName of Object.getOwnPropertyNames(persistedPlugins)) {
+    plugins[pluginName] =
+        await resolveChunkedEntry(persistedPlugins[pluginName]);
+  }
+
+  return JSON.stringify({
+    formatVersion: SNAPSHOT_FORMAT_VERSION,
+    timestamp: Date.now(),
+    plugins,
+    checksum: calculateChecksum(JSON.stringify(plugins)),
+  });
+}
+
+/**
+ * Returns the status of the persistence: the last written snapshot, the
+ * persisted plugins with the size of their last persisted data, and the last
+ * failures.
+ */
+function getPersistenceStatus() {
+  const plugins = {};
+
+  for (let pluginName of Object.getOwnPropertyNames(persistedPlugins)) {
+    plugins[pluginName] = {
+      size: persistenceStatus.dataSizes.has(pluginName)
+          ? persistenceStatus.dataSizes.get(pluginName)
+          : JSON.stringify(persistedPlugins[pluginName]).length,
+      lastPersistence: lastPersistenceTimes.get(pluginName),
+      preserved: preservedPluginNames.has(pluginName),
+    };
+  }
+
+  return {
+    lastSnapshot: persistenceStatus.lastSnapshot,
+    snapshotIds: snapshotIds.slice(),
+    plugins,
+    failures: [...persistenceStatus.failures.entries()]
+        .map(([pluginName, failure]) => Object.assign({ pluginName }, failure)),
+  };
+}
+
+/**
+ * Returns the storage key for the snapshot with the given ID.
+ */
+function getSnapshotKey(snapshotId) {
+  return `snapshot_${snapshotId}`;
+}
+
+/**
+ * Returns whether the given snapshot is complete and unaltered.
+ */
+function isSnapshotIntact(snapshot, snapshotId) {
+  return typeof snapshot === `object` && snapshot !== null
+      && snapshot.id === snapshotId
+      && snapshot.formatVersion <= SNAPSHOT_FORMAT_VERSION
+      && typeof snapshot.plugins === `object` && snapshot.plugins !== null
+      && snapshot.checksum === calculateChecksum(
+          JSON.stringify(snapshot.plugins));
+}
+
+/**
+ * Returns whether the given storage key belongs to the snapshot index, a
+ * snapshot or a chunk.
+ */
+function isSnapshotStorageKey(key) {
+  return key === SNAPSHOT_INDEX_KEY || key.startsWith(getSnapshotKey(``))
+      || key.startsWith(CHUNK_KEY_PREFIX);
+}
+
+/**
+ * Loads the data persisted by version 1.x, which stored one item per plugin.
+ */
+async function loadLegacyData() {
+  for (let key of await storage.keys()) {
+    if (isSnapshotStorageKey(key)) continue;
+
+    const persistedData = await storage.getItem(key);
+
+    if (typeof persistedData === `object` && persistedData !== null) {
+      persistedPlugins[key] = persistedData;
+    }
+  }
+}
+
+/**
+ * Loads the newest intact snapshot, or the data persisted by version 1.x if
+ * there are no snapshots.
+ */
+async function loadSnapshot() {
+  const index = await storage.getItem(SNAPSHOT_INDEX_KEY);
+  snapshotIds = index !== null && Array.isArray(index.ids) ? index.ids : [];
+  snapshotChunkKeys = index !== null && typeof index.chunks === `object`
+      ? index.chunks : {};
+
+  for (let i = snapshotIds.length - 1; i >= 0; i--) {
+    let snapshot;
+
+    try {
+      snapshot = await storage.getItem(getSnapshotKey(snapshotIds[i]));
+    } catch (e) {
+      snapshot = undefined;
+    }
+
+    if (isSnapshotIntact(snapshot, snapshotIds[i])) {
+      try {
+        for (let entry of Object.values(snapshot.plugins)) {
+          await resolveChunkedEntry(entry);
+        }
+
+        persistedPlugins = snapshot.plugins;
+        return;
+      } catch (error) {
+        room.log(`Snapshot ${snapshotIds[i]}: ${error.message}`,
+            HHM.log.level.WARN);
+      }
+    }
+
+    room.log(`Snapshot ${snapshotIds[i]} is damaged, falling back to older `
+        + `snapshot`, HHM.log.level.WARN);
+  }
+
+  if (snapshotIds.length === 0) {
+    await loadLegacyData();
+  }
+}
+
+/**
+ * Imports a bundle created by exportPersistence.
+ *
+ * The imported plugin data replaces the persisted data of the same plugins and
+ * is written as a new snapshot. Loaded plugins are passed the imported data
+ * using their onRestore handler, other plugins receive it when they are
+ * loaded.
+ *
+ * @param bundle JSON string or parsed bundle.
+ * @returns Promise which resolves to the names of the imported plugins.
+ * @throws Error if the bundle is invalid or could not be written.
+ */
+async function importPersistence(bundle) {
+  if (typeof bundle === `string`) {
+    bundle = JSON.parse(bundle);
+  }
+
+  if (typeof bundle !== `object` || bundle === null
+      || typeof bundle.plugins !== `object` || bundle.plugins === null) {
+    throw new Error(`Invalid persistence bundle`);
+  }
+
+  if (!(bundle.formatVersion <= SNAPSHOT_FORMAT_VERSION)) {
+    throw new Error(`Unsupported persistence bundle format version `
+        + `${bundle.formatVersion}`);
+  }
+
+  if (calculateChecksum(JSON.stringify(bundle.plugins)) !== bundle.checksum) {
+    throw new Error(`Persistence bundle checksum mismatch`);
+  }
+
+  const pluginNames = Object.getOwnPropertyNames(bundle.plugins);
+  pluginNames.forEach((pluginName) => preservedPluginNames.delete(pluginName));
+
+  if (!await enqueuePersistenceCycle([],
+      { importedPluginEntries: bundle.plugins })) {
+    throw new Error(`Failed to write imported persistence bundle`);
+  }
+
+  const manager = room.getPluginManager();
+
+  for (let plugin of manager.getLoadedPluginIds()
+      .map((id) => manager.getPlugin(id))
+      .filter((plugin) => pluginNames.includes(plugin._name))) {
+    await restorePluginData(plugin);
+  }
+
+  return pluginNames;
+}
+
+/**
+ * Copies all data from the source storage backend to the target storage
+ * backend, or to the active backend if no target is specified. The snapshots
+ * of the target backend are replaced by those of the source backend.
+ *
+ * Both backends are specified as objects { type, options }.
+ *
+ * @returns Promise which resolves to the number of copied items.
+ */
+async function migrateStorage({ type: sourceType, options: sourceOptions },
+    { type: targetType, options: targetOptions } = {}) {
+  await initialized;
+
+  const source = await createStorage(sourceType, sourceOptions);
+  const target = targetType === undefined ? storage
+      : await createStorage(targetType, targetOptions);
+
+  if (target === undefined) {
+    throw new Error(`Persistence is disabled, no active storage backend`);
+  }
+
+  // Run in the queue so no persistence cycle writes to the target meanwhile
+  const migration = persistenceQueue.then(async () => {
+    // Remaining snapshots and chunks of the target would be orphaned by the
+    // copied snapshot index, and their IDs could collide with copied ones
+    for (let key of (await target.keys()).filter(isSnapshotStorageKey)) {
+      await target.removeItem(key);
+    }
+
+    const keys = await source.keys();
+
+    for (let key of keys) {
+      await target.setItem(key, await source.getItem(key));
+    }
+
+    if (target === storage) {
+      // Make sure the next persistence cycle builds on the migrated data
+      persistedPlugins = {};
+      await loadSnapshot();
+    }
+
+    return keys.length;
+  });
+  persistenceQueue = migration.catch(() => {});
+
+  const itemCount = await migration;
+
+  room.log(`Migrated ${itemCount} items from storage backend ${sourceType} `
+      + `to ${targetType === undefined ? `the active backend` : targetType}`);
+
+  return itemCount;
+}
+
+/**
+ * Runs the migration steps of the given plugin on the given persisted data.
+ *
+ * @returns Promise which resolves to the migrated data.
+ * @throws Error if a migration step fails or the persisted or current version
+ *  is invalid.
+ */
+async function migratePluginData(plugin, data, pluginSpec = {}) {
+  const compareVersions = room.getPlugin(`hhm/core`).compareVersions;
+  const migrations = plugin.migrations;
+  const currentVersion = (plugin.pluginSpec || {}).version;
+  const persistedVersion = pluginSpec.version || `0.0.0`;
+
+  if (typeof migrations !== `object` || migrations === null
+      || currentVersion === undefined) {
+    return data;
+  }
+
+  for (let [description, version] of
+      [[`persisted data`, persistedVersion], [`plugin`, currentVersion]]) {
+    try {
+      compareVersions(version, version);
+    } catch (error) {
+      throw new Error(`Invalid version ${version} of the ${description}`);
+    }
+  }
+
+  if (compareVersions(persistedVersion, currentVersion) > 0) {
+    room.log(`Persisted data of plugin ${plugin._name} has version `
+        + `${persistedVersion}, which is newer than the plugin version `
+        + `${currentVersion}`, HHM.log.level.WARN);
+    return data;
+  }
+
+  const versions = Object.getOwnPropertyNames(migrations).filter((version) => {
+    try {
+      return compareVersions(version, persistedVersion) > 0
+          && compareVersions(version, currentVersion) <= 0;
+    } catch (e) {
+      room.log(`Ignoring migration step with invalid version ${version} for `
+          + `plugin ${plugin._name}`, HHM.log.level.WARN);
+      return false;
+    }
+  }).sort(compareVersions);
+
+  for (let version of versions) {
+    try {
+      data = await migrations[version](data, pluginSpec);
+    } catch (error) {
+      throw new Error(`Migration to version ${version} failed: `
+          + (error instanceof Error ? error.message : error));
+    }
+
+    room.log(`Migrated data of plugin ${plugin._name} to version ${version}`);
+  }
+
+  return data;
+}
+
+/**
+ * Persists the data of all enabled plugins
+ */
+async function persistAllPluginData() {
+  const manager = room.getPluginManager();
+
+  return persistPlugins(manager.getEnabledPluginIds()
+      .map((id) => manager.getPlugin(id)));
+}
+
+/**
+ * Persists the data of the given plugin, the last persisted data of all other
+ * plugins is kept.
+ */
+async function persistPluginData(plugin) {
+  return persistPlugins([plugin]);
+}
+
+/**
+ * Queues a persistence cycle for the given plugins.
+ *
+ * @returns Promise which resolves to true if the snapshot was written, false
+ *  otherwise.
+ */
+function persistPlugins(plugins) {
+  return enqueuePersistenceCycle(plugins);
+}
+
+/**
+ * Queues a persistence cycle for the given plugins with the given options, see
+ * runPersistenceCycle.
+ */
+function enqueuePersistenceCycle(plugins, options) {
+  const cycle = persistenceQueue.then(() =>
+      runPersistenceCycle(plugins, options));
+  persistenceQueue = cycle.catch(() => {});
+
+  return cycle;
+}
+
+/**
+ * Records the given persistence failure for the persistence status.
+ */
+function recordFailure(pluginName, error) {
+  persistenceStatus.failures.set(pluginName, { timestamp: Date.now(),
+    message: error instanceof Error ? error.message : String(error) });
+}
+
+/**
+ * Registers a custom type for typed serialization.
+ *
+ * @param typeName Unique name of the type, e.g. prefixed with the plugin name.
+ * @param type Class (constructor) of the type, instances are detected using
+ *  instanceof.
+ * @param encode Function which turns an instance into a serializable value.
+ * @param decode Function which turns the serializable value back into an
+ *  instance.
+ */
+function registerSerializableType(typeName, type, { encode, decode }) {
+  if ([`Object`, `BigInt`, `Date`, `Map`, `Set`].includes(typeName)) {
+    throw new Error(`Type name ${typeName} is reserved`);
+  }
+
+  if (typeof type !== `function` || typeof encode !== `function`
+      || typeof decode !== `function`) {
+    throw new TypeError(`type, encode and decode must be functions`);
+  }
+
+  serializableTypes.set(typeName, { type, encode, decode });
+}
+
+/**
+ * Passes the persisted data of the given plugin to its onRestore handler,
+ * after running its migrations.
+ */
+async function restorePluginData(plugin) {
+  const persistedData = persistedPlugins[plugin._name];
+
+  if (persistedData === undefined || typeof plugin.onRestore !== `function`) {
+    return;
+  }
+
+  let data, pluginSpec;
+
+  try {
+    ({ data, pluginSpec } =
+        decodeValue(await resolveChunkedEntry(persistedData)));
+    pluginSpec = await revealPluginSpec(pluginSpec, plugin._name);
+  } catch (error) {
+    preservedPluginNames.add(plugin._name);
+    room.log(`Failed to read persisted data of plugin ${plugin._name}, `
+        + `the data will not be restored but kept unchanged: ${error.message}`,
+        HHM.log.level.ERROR);
+    return;
+  }
+
+  try {
+    data = await migratePluginData(plugin, data, pluginSpec);
+  } catch (error) {
+    preservedPluginNames.add(plugin._name);
+    room.log(`Failed to migrate persisted data of plugin ${plugin._name}, `
+        + `the data will not be restored but kept unchanged: ${error.message}`,
+        HHM.log.level.ERROR);
+    return;
+  }
+
+  try {
+    await plugin.onRestore(data, pluginSpec);
+  } catch (error) {
+    preservedPluginNames.add(plugin._name);
+    room.log(`Failed to restore persisted data of plugin ${plugin._name}, `
+        + `the data will be kept unchanged: ${error.message}`,
+        HHM.log.level.ERROR);
+  }
+}
+
+/**
+ * Collects the data of the given plugins and writes a new snapshot.
+ *
+ * @param importedPluginEntries Persisted plugin entries which replace the
+ *  current entries of the respective plugins.
+ * @param removedPluginNames Names of plugins whose entries are removed.
+ */
+async function runPersistenceCycle(plugins,
+    { importedPluginEntries = {}, removedPluginNames = [] } = {}) {
+  await initialized;
+
+  if (storage === undefined) return false;
+
+  room.triggerEvent(`onBeforePersist`);
+
+  const pluginEntries = Object.assign({}, persistedPlugins,
+      importedPluginEntries);
+  removedPluginNames.forEach((pluginName) => delete pluginEntries[pluginName]);
+  const pluginNames = [];
+  const failedPluginNames = [];
+
+  const chunks = new Map();
+
+  await Promise.all(plugins.filter((plugin) => plugin.hasName()
+      && !preservedPluginNames.has(plugin._name)).map(async (plugin) => {
+    const settings = getPersistenceSettings(plugin);
+    const wasDirty = dirtyPluginNames.delete(plugin._name);
+
+    try {
+      let entry = encodeValue(await createPersistedData(plugin));
+      const dataSize = JSON.stringify(entry).length;
+
+      if (settings.delta && isHashingAvailable()) {
+        const chunkedEntry = await createChunkedEntry(entry,
+            Math.max(1, settings.deltaDepth));
+        entry = chunkedEntry.entry;
+        chunkedEntry.chunks.forEach((value, key) => chunks.set(key, value));
+      }
+
+      pluginEntries[plugin._name] = entry;
+      pluginNames.push(plugin._name);
+      persistenceStatus.dataSizes.set(plugin._name, dataSize);
+      persistenceStatus.failures.delete(plugin._name);
+    } catch (error) {
+      if (wasDirty) {
+        dirtyPluginNames.add(plugin._name);
+      }
+
+      failedPluginNames.push(plugin._name);
+      recordFailure(plugin._name, error);
+      room.log(`Failed to persist data of plugin ${plugin._name}, keeping `
+          + `previous data: ${error instanceof Error ? error.stack : error}`,
+          HHM.log.level.ERROR);
+      room.triggerEvent(`onPersistFailed`, { pluginName: plugin._name, error });
+    }
+  }));
+
+  const snapshot = {
+    id: (snapshotIds.length > 0 ? snapshotIds[snapshotIds.length - 1] : 0) + 1,
+    formatVersion: SNAPSHOT_FORMAT_VERSION,
+    timestamp: Date.now(),
+    plugins: pluginEntries,
+  };
+
+  try {
+    // Serialize once to make sure the checksum matches what is written
+    snapshot.plugins = JSON.parse(JSON.stringify(snapshot.plugins));
+    snapshot.checksum = calculateChecksum(JSON.stringify(snapshot.plugins));
+
+    await writeSnapshot(snapshot, chunks);
+  } catch (error) {
+    room.log(`Failed to write snapshot ${snapshot.id}: `
+        + `${error instanceof Error ? error.stack : error}`,
+        HHM.log.level.ERROR);
+    recordFailure(undefined, error);
+    room.triggerEvent(`onPersistFailed`, { pluginName: undefined, error });
+
+    return false;
+  }
+
+  persistenceStatus.failures.delete(undefined);
+  persistenceStatus.lastSnapshot =
+      { id: snapshot.id, timestamp: snapshot.timestamp };
+
+  room.triggerEvent(`onPersistComplete`, { snapshotId: snapshot.id,
+    timestamp: snapshot.timestamp, pluginNames, failedPluginNames });
+
+  return true;
+}
+
+/**
+ * Writes the given snapshot and its new chunks, updates the snapshot index and
+ * removes snapshots exceeding maxSnapshots as well as chunks no longer
+ * referenced by any snapshot.
+ *
+ * The snapshot only becomes visible once it has been written completely, since
+ * the index is updated afterwards.
+ */
+async function writeSnapshot(snapshot, chunks = new Map()) {
+  const storedChunkKeys = new Set(Object.values(snapshotChunkKeys).flat());
+  const chunkKeys = getReferencedChunkKeys(snapshot.plugins);
+
+  for (let chunkKey of chunkKeys) {
+    if (!storedChunkKeys.has(chunkKey) && chunks.has(chunkKey)) {
+      await storage.setItem(chunkKey, chunks.get(chunkKey));
+    }
+  }
+
+  await storage.setItem(getSnapshotKey(snapshot.id), snapshot);
+
+  const maxSnapshots = Math.max(1, room.getConfig().maxSnapshots);
+  const ids = snapshotIds.concat(snapshot.id);
+  const removedIds = ids.slice(0, Math.max(0, ids.length - maxSnapshots));
+  const retainedIds = ids.slice(removedIds.length);
+
+  const newSnapshotChunkKeys = { [snapshot.id]: chunkKeys };
+  retainedIds.filter((id) => snapshotChunkKeys.hasOwnProperty(id))
+      .forEach((id) => newSnapshotChunkKeys[id] = snapshotChunkKeys[id]);
+
+  await storage.setItem(SNAPSHOT_INDEX_KEY,
+      { ids: retainedIds, chunks: newSnapshotChunkKeys });
+
+  const referencedChunkKeys =
+      new Set(Object.values(newSnapshotChunkKeys).flat());
+  const removedChunkKeys = [...storedChunkKeys]
+      .filter((chunkKey) => !referencedChunkKeys.has(chunkKey));
+
+  snapshotIds = retainedIds;
+  snapshotChunkKeys = newSnapshotChunkKeys;
+  persistedPlugins = snapshot.plugins;
+
+  for (let id of removedIds) {
+    await storage.removeItem(getSnapshotKey(id));
+  }
+
+  for (let chunkKey of removedChunkKeys) {
+    await storage.removeItem(chunkKey);
+  }
+}
+
+//
+// Event handlers
+//
+
+/**
+ * Initializes the storage, loads the newest snapshot and sets up the
+ * persistence interval.
+ */
+async function onRoomLinkHandler() {
+  const { storageBackend, storageOptions } = room.getConfig();
+
+  room.extend(`markDirty`, ({ callingPluginName }, pluginName) =>
+      markDirty(pluginName !== undefined ? pluginName : callingPluginName));
+  room.extend(`exportPersistence`, () => exportPersistence());
+  room.extend(`importPersistence`, ({}, bundle) => importPersistence(bundle));
+
+  try {
+    storage = await createStorage(storageBackend, storageOptions);
+  } catch (error) {
+    room.log(`Persistence disabled, failed to create storage backend `
+        + `${storageBackend}: ${error.message}`, HHM.log.level.ERROR);
+    resolveInitialized();
+    return;
+  }
+
+  try {
+    await loadSnapshot();
+  } catch (error) {
+    room.log(`Failed to load snapshots: `
+        + `${error instanceof Error ? error.stack : error}`,
+        HHM.log.level.ERROR);
+  }
+
+  resolveInitialized();
+
+  // Set up persistence scheduler, which picks up config changes at runtime
+  schedulerStart = Date.now();
+  interval = setInterval(() => runScheduledPersistence(),
+      SCHEDULER_INTERVAL_MILLISECONDS);
+}
+
+/**
+ * Restores the persisted data of the plugin, if any, by calling its onRestore
+ * handler.
+ */
+async function onHhmBeforePluginLoadedHandler({ plugin }) {
+  await initialized;
+
+  return restorePluginData(plugin);
+}
+
+/**
+ * Persists the data of the plugin when it is disabled.
+ */
+async function onHhmPluginDisabledHandler({ plugin }) {
+  return persistPluginData(plugin);
+}
+
+//
+// Exports
+//
+
+room.clearPluginData = clearPluginData;
+room.decodeValue = decodeValue;
+room.encodeValue = encodeValue;
+room.exportPersistence = exportPersistence;
+room.getPersistenceStatus = getPersistenceStatus;
+room.importPersistence = importPersistence;
+room.migrateStorage = migrateStorage;
+room.persistPluginData = persistPluginData;
+room.persistAllPluginData = persistAllPluginData;
+room.registerSerializableType = registerSerializableType;
+
+room.onRoomLink = onRoomLinkHandler;
+
+room.onHhm_beforePluginLoaded = onHhmBeforePluginLoadedHandler;
+room.onHhm_pluginDisabled = onHhmPluginDisabledHandler;
@@ -13,6 +13,16 @@
  *
  * Changelog:
  *
+ * 0.9.7:
+ *  - only pass announcements through the action queue of hhm/core if it is
+ *    enabled
+ *
+ * 0.9.6:
+ *  - register the command shortcuts as aliases of sav/commands
+ *
+ * 0.9.5:
+ *  - pass announcements through the action queue of hhm/core
+ *
  * 0.9.4:
  *  - use sendAnnouncement instead of sendChat
  *  - support prefix- and plugin-specific formatting settings for announcements
@@ -60,9 +70,9 @@ var room = HBInit();
 room.pluginSpec = {
   name: `sav/chat`,
   author: `saviola`,
-  version: `0.9.4`,
+  version: `0.9.7`,
   dependencies: [
-    `sav/commands`,
+    `sav/commands@^1.12`,
     `sav/players`
   ],
   order: {
@@ -463,7 +473,14 @@ function onCommandChatChannelSwitch(player, [channel]) {
  */
 function onRoomLinkHandler() {
   //sendChatNative = room.getParentRoom().sendChat;
-  sendAnnouncementNative = room.getParentRoom().sendAnnouncement;
+  const core = room.getPlugin(`hhm/core`);
+  const parentSendAnnouncement = room.getParentRoom().sendAnnouncement;
+
+  // Announcements are only throttled if the action queue is enabled
+  sendAnnouncementNative = (...args) =>
+      core.getConfig(`actionQueueEnabled`) === true
+          ? core.queueAction(`sendAnnouncement`, args)
+          : parentSendAnnouncement(...args);
   getChatInfo = room.getPlugin(`sav/players`)
       .buildPlayerPluginDataGetter(`sav/chat`);
 
@@ -477,14 +494,23 @@ function onRoomLinkHandler() {
     room.onPlayerJoin = onPlayerJoinHandler;
     room.onPlayerTeamChange = onPlayerTeamChangeHandler;
 
-    room.onCommand_chat_channel_create = onCommandChatChannelCreate;
-    room.onCommand_chat_channel_switch = onCommandChatChannelSwitch;
-
-    // Register shortcut commands
-    if (config.commandShortcuts) {
-      room.onCommand_ccs = onCommandChatChannelSwitch;
-      room.onCommand_ccc = onCommandChatChannelCreate;
-    }
+    // Register shortcut commands as aliases
+    room.onCommand_chat_channel_create = {
+      function: onCommandChatChannelCreate,
+      data: {
+        'sav/commands': {
+          aliases: config.commandShortcuts ? [`ccc`] : [],
+        },
+      },
+    };
+    room.onCommand_chat_channel_switch = {
+      function: onCommandChatChannelSwitch,
+      data: {
+        'sav/commands': {
+          aliases: config.commandShortcuts ? [`ccs`] : [],
+        },
+      },
+    };
 
     initializeAutoChannels();
 
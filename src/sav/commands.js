@@ -13,17 +13,29 @@
  *
  * It also provides a parseMessage function, which can be called using
  *
- * room.getPlugin(`sav/commands`).parseMessage(message, `!`, ` `), and returns
- * an object like this:
+ * room.getPlugin(`sav/commands`).parseMessage(message, numArgsMax, `!`, ` `),
+ * and returns an object like this:
  *
  * {
  *  command: command string without the command prefix, or an empty string if
  *    the message could not be parsed as a command,
- *  arguments: Array of arguments, extracted by splitting the original message
- *    by e.g. spaces, removing any empty parts as well as the command itself,
- *  argumentString: The original message minus the command itself
+ *  arguments: Array of at most numArgsMax arguments, extracted by splitting the
+ *    original message by e.g. spaces, removing any empty parts as well as the
+ *    command itself,
+ *  argumentPositions: Array containing the position of each argument in the
+ *    original message,
+ *  argumentString: The original message minus the command itself,
+ *  separator: The separator that was used,
+ *  originalMessage: The original message
  * }
  *
+ * Arguments containing the separator can be enclosed in double or single
+ * quotes, e.g. !kick "Some Player", and a backslash escapes the following
+ * character, e.g. !kick Some\ Player or !say "\"quoted\"". After an unquoted
+ * argument --, quotes and backslashes are no longer interpreted, so the
+ * remaining arguments are taken literally, e.g. !say -- "not quoted". Quotes
+ * without a closing quote are taken literally as well, e.g. !say don't go.
+ *
  * Example:
  *
  * Someone writes: !kick foo
@@ -37,6 +49,149 @@
  *    ["foo"]
  * - argumentString: String containing all arguments, in this case "foo"
  *
+ * Additionally, the catch-all event onCommand(player, command, arguments,
+ * argumentString, message) is triggered for every parsed command, where
+ * command is the first word of the command without the prefix and arguments
+ * contains all following words. Returning false from it hides the command like
+ * for the specific handlers.
+ *
+ * If no plugin handles the command, the player receives a private message
+ * stating that the command is unknown along with the most similar known
+ * commands the player is allowed to use, e.g. !help for !hlep. onCommand
+ * handlers which handle commands without specific handlers can call
+ * markCommandHandled() to prevent this message, returning false from them
+ * prevents it as well. Unknown commands are still displayed in the room
+ * according to hideCommands.
+ *
+ * Argument schemas:
+ *
+ * Instead of checking the arguments by hand, command handlers can declare
+ * their arguments in the handler data:
+ *
+ * room.onCommand_ban = {
+ *   function: (player, [playerName, minutes]) => { ... },
+ *   data: {
+ *     'sav/commands': {
+ *       args: [
+ *         { name: `name`, type: `string` },
+ *         { name: `minutes`, type: `int`, optional: true, default: 10 },
+ *       ],
+ *     },
+ *   },
+ * };
+ *
+ * Each argument has a name and a type, and can be optional (with an optional
+ * default value). The last argument can be marked with rest: true, in which
+ * case it receives an array of all remaining arguments. Available types are
+ * string (default), int, number, bool and player. Arguments of type player are
+ * resolved using resolvePlayer of sav/players, which accepts #ID, names, name
+ * prefixes, @mentions and auths, and receive the player object. Set
+ * offlinePlayers: true on the argument to include players who left the room.
+ *
+ * Additional types can be added using registerArgumentType(type, convert),
+ * where convert(value, { player, argument }) returns the converted value or
+ * throws an Error with a message for the player.
+ *
+ * The arguments are validated and converted before the handler is called, and
+ * the handler receives the converted values. If the validation fails, the
+ * handler is not called and the player receives an error message along with
+ * the usage of the command, e.g. `Usage: !ban NAME [MINUTES]`. The usage is
+ * also displayed by sav/help, getArgumentUsage(schema) returns it for a given
+ * schema.
+ *
+ * Authorization:
+ *
+ * Command handlers can declare who is allowed to use them in the handler data:
+ *
+ * room.onCommand_ban = {
+ *   function: (player, [playerName, minutes]) => { ... },
+ *   data: {
+ *     'sav/commands': {
+ *       roles: [`host`, `admin`],
+ *     },
+ *   },
+ * };
+ *
+ * The player needs one of the given roles if sav/roles is loaded, or admin
+ * status otherwise. Set admin: true to additionally require admin status. The
+ * authorization is checked before the arguments are validated, and players
+ * who are not authorized receive the access denied message and the handler is
+ * not called. canPlayerUseHandler(playerId, handlerName) returns whether a
+ * player may use a command handler, sav/help uses it to only list available
+ * commands.
+ *
+ * Aliases:
+ *
+ * Commands can have aliases, which are configured in the aliases config
+ * parameter or declared by the plugins in the handler data, e.g.
+ * 'sav/commands': { aliases: [`ccs`] } on onCommand_chat_channel_switch makes
+ * !ccs an alias for !chat channel switch. Aliases can consist of several
+ * words and are replaced by the command before the events are triggered, so
+ * !ccs global triggers onCommand1_chat_channel_switch. Aliases never shadow
+ * existing commands. getCommandAliases(command) returns the aliases of a
+ * command.
+ *
+ * If commandAbbreviations is enabled, each word of a command can be
+ * abbreviated to any prefix which is unambiguous among the known commands,
+ * e.g. !pl li for !plugin list.
+ *
+ * Executing commands:
+ *
+ * executeCommand(playerOrId, commandString, { silent, asRole, confirmed })
+ * executes a command as the given player, e.g. from a cron job:
+ *
+ * room.getPlugin(`sav/commands`).executeCommand(0, `!plugin disable foo`,
+ *     { asRole: `host`, confirmed: true });
+ *
+ * It parses the command, resolves aliases, checks the authorization and
+ * triggers the events like for chat messages, and returns the combined return
+ * value of the handlers, or undefined if the command is unknown.
+ *
+ * Confirmations:
+ *
+ * Destructive commands can require a confirmation by declaring confirm: true
+ * in the handler data, or a function which receives the arguments and the
+ * player and returns whether a confirmation is required, e.g.
+ * 'sav/commands': { confirm: ([name, unsafe]) => unsafe !== undefined }.
+ * Instead of calling the handler, the player is asked to type !confirm or
+ * !cancel within confirmationTimeoutSeconds. Only the last command awaiting
+ * confirmation is kept per player, and the handler is called once the player
+ * confirms it. The authorization and the cooldown are checked again when the
+ * command is confirmed, and the cooldown only starts then.
+ *
+ * Command log:
+ *
+ * Every command is recorded in a persisted log of limited size, along with the
+ * timestamp, the name, ID and auth of the player, the arguments, whether the
+ * player was authorized and the return value of the handlers. Arguments which
+ * are declared sensitive in the handler data, e.g.
+ * 'sav/commands': { sensitiveArgs: [1] } for the password of !auth ROLE
+ * PASSWORD, are masked, as are all arguments of unknown commands. Commands
+ * dropped by the rate limit are not recorded. Commands which require a
+ * confirmation are recorded again with confirmed: true once they are
+ * confirmed.
+ *
+ * getCommandLog({ player, command, count }) returns the log entries, oldest
+ * first, optionally filtered by player (ID, #ID, name or auth) and command
+ * (including its sub-commands) and limited to the last count entries.
+ *
+ * Cooldowns and rate limiting:
+ *
+ * Command handlers can declare a cooldown in seconds in the handler data, e.g.
+ * 'sav/commands': { cooldown: 30 }, which the player has to wait between two
+ * uses of the command. To use different cooldowns per role, map the role names
+ * to the cooldowns instead, e.g. { default: 30, user: 10 }; the lowest cooldown
+ * among the player's roles applies. Additionally, the number of commands each
+ * player can use within a time frame is limited, see the configuration below.
+ * Players hitting a limit receive a private message telling them when to try
+ * again. Admins and players with one of the roles in limitBypassRoles are not
+ * limited.
+ *
+ * Commands run using executeCommand do not count towards the rate limit.
+ * Plugins running commands on behalf of a player can count them using
+ * ensureRateLimit(player), which returns false and informs the player if the
+ * limit is exceeded.
+ *
  * Configuration:
  *
  *  - commandPrefix: Any line that starts with this is interpreted as a command.
@@ -48,11 +203,102 @@
  *  - multiCommandPrefixHidesMessage: If set to true, lines that start with two
  *    or more command prefixes (i.e. `!!`) are never displayed to the room, but
  *    are otherwise treated like normal commands
+ *  - unknownCommandMessage: Whether to send a message to players using an
+ *    unknown command. Defaults to true.
+ *  - maxCommandSuggestions: Maximum number of similar commands suggested for
+ *    unknown commands. Defaults to 3.
+ *  - aliases: Object mapping aliases to commands, both without the command
+ *    prefix, e.g. { pl: `plugin list` }. Defaults to {}.
+ *  - commandAbbreviations: Whether command words can be abbreviated to
+ *    unambiguous prefixes. Defaults to false.
+ *  - confirmationTimeoutSeconds: Time in seconds within which players have to
+ *    confirm commands. Defaults to 30.
+ *  - commandLogSize: Maximum number of entries in the command log, 0 disables
+ *    the log. Defaults to 200.
+ *  - rateLimit: Maximum number of commands a player can use within
+ *    rateLimitSeconds, 0 disables the rate limit. Defaults to 5.
+ *  - rateLimitSeconds: Time frame of the rate limit in seconds. Defaults to 10.
+ *  - rateLimitRoles: Object mapping role names to the rate limit for players
+ *    with this role, 0 means unlimited. The highest limit among the player's
+ *    roles applies. Defaults to {}.
+ *  - limitBypassRoles: Players with one of these roles are exempt from
+ *    cooldowns and the rate limit. Defaults to [`host`, `admin`].
+ *
+ * Built-in commands:
+ *
+ *  - !hhm / !info: displays HHM version information
+ *  - !hhm profile [EVENT]: displays the handler profile collected by hhm/core,
+ *    either the most expensive events or the plugins handling the given event
+ *  - !hhm profile start / stop / reset: controls profiling
+ *  - !history [PLAYER|COMMAND] [N]: displays the last N entries of the command
+ *    log, optionally only for the given player or command
+ *  - !confirm / !cancel: confirms or cancels the command awaiting confirmation
  *
- * TODO add onCommand catch-all support
+ * The profiling and history commands require the `host` role if sav/roles is
+ * loaded, and admin status otherwise.
  *
  * Changelog:
  *
+ * 1.17.0:
+ *  - export ensureRateLimit
+ *
+ * 1.16.1:
+ *  - keep quotes without a closing quote as literal characters
+ *
+ * 1.16.0:
+ *  - display unknown commands in the room again, only hide commands whose
+ *    handlers return false
+ *  - add markCommandHandled() for onCommand handlers to prevent the unknown
+ *    command message
+ *
+ * 1.15.3:
+ *  - check the declared requirements of command handlers set before
+ *    sav/commands was loaded, including its own
+ *
+ * 1.15.2:
+ *  - check the authorization of the confirming player and start the cooldown
+ *    when a command is confirmed
+ *  - display the original message when asking for confirmations
+ *  - record confirmed commands in the command log
+ *
+ * 1.15.1:
+ *  - only suggest commands the player is allowed to use for unknown commands
+ *
+ * 1.15.0:
+ *  - add confirmations for destructive commands
+ *
+ * 1.14.0:
+ *  - add persisted command log and !history command
+ *
+ * 1.13.0:
+ *  - add executeCommand to execute commands programmatically
+ *
+ * 1.12.0:
+ *  - add command aliases and abbreviations
+ *
+ * 1.11.0:
+ *  - add per-command cooldowns and per-player rate limiting
+ *
+ * 1.10.0:
+ *  - add role-based authorization declared in the handler data
+ *
+ * 1.9.0:
+ *  - add player references as argument type
+ *
+ * 1.8.0:
+ *  - add declarative argument schemas with type conversion
+ *
+ * 1.7.0:
+ *  - support quoted arguments, backslash escapes and the -- marker
+ *  - argumentString now contains all arguments instead of only the first one
+ *
+ * 1.6.0:
+ *  - add onCommand catch-all event
+ *  - reply to unknown commands with suggestions of similar commands
+ *
+ * 1.5.0:
+ *  - add !hhm profile commands
+ *
  * 1.4.3:
  *  - switch to sendAnnouncement
  *
@@ -75,32 +321,896 @@
  *    players in the room or only to the issuing player, they can't hide
  *    commands anymore
  *
- * 1.2.0:
- *  - add support for messages starting with multiple command prefixes to be
- *    hidden always
- *  - improve custom message parsing by providing an numArgsMax parameter
+ * 1.2.0:
+ *  - add support for messages starting with multiple command prefixes to be
+ *    hidden always
+ *  - improve custom message parsing by providing an numArgsMax parameter
+ *
+ * 1.1.0:
+ *  - add sub-command support
+ *  - change syntax from onCommandFoo# to onCommand#_foo
+ */
+
+var room = HBInit();
+
+room.pluginSpec = {
+  name: `sav/commands`,
+  author: `saviola`,
+  version: `1.17.0`,
+  config: {
+    commandPrefix: `!`,
+    hideCommands: 0,
+    multiCommandPrefixHidesMessage: true,
+    unknownCommandMessage: true,
+    maxCommandSuggestions: 3,
+    aliases: {},
+    commandAbbreviations: false,
+    rateLimit: 5,
+    rateLimitSeconds: 10,
+    rateLimitRoles: {},
+    limitBypassRoles: [`host`, `admin`],
+    confirmationTimeoutSeconds: 30,
+    commandLogSize: 200,
+  },
+  persistence: {
+    dirtyTracking: true,
+  },
+};
+
+//
+// Global variables
+//
+
+/**
+ * Number of events or plugins displayed by !hhm profile.
+ */
+const PROFILE_MAX_ENTRIES = 10;
+
+/**
+ * Number of command log entries displayed by !history by default.
+ */
+const HISTORY_DEFAULT_ENTRIES = 10;
+
+/**
+ * Replaces masked arguments in the command log.
+ */
+const MASKED_ARGUMENT = `***`;
+
+/**
+ * Recorded commands, oldest first, see getCommandLog.
+ */
+const commandLog = [];
+
+/**
+ * Command log entry of the command currently being triggered.
+ */
+let currentLogEntry;
+
+/**
+ * Whether the command currently being triggered was marked as handled by an
+ * onCommand handler, see markCommandHandled.
+ */
+let commandHandled = false;
+
+/**
+ * Matches command handler names, capturing the command.
+ */
+const commandHandlerNameRegExp = /^onCommand\d*_(.+)$/;
+
+/**
+ * Marks handler functions which check the authorization and arguments.
+ */
+const wrappedFunction = Symbol(`wrappedFunction`);
+
+/**
+ * Maps command handler names to a map of plugin IDs to the authorization
+ * requirements of the handlers, { roles, admin, plugin }.
+ */
+const handlerAuthorizations = new Map();
+
+/**
+ * Options of the command execution in progress, see executeCommand.
+ */
+let executionContext = { silent: false, asRole: undefined, confirmed: false };
+
+/**
+ * Maps command handler names to a map of plugin IDs to the aliases declared in
+ * the handler data.
+ */
+const handlerAliases = new Map();
+
+/**
+ * Maps command handler names to a map of plugin IDs to the indexes of the
+ * arguments which are masked in the command log.
+ */
+const handlerSensitiveArguments = new Map();
+
+/**
+ * Maps player IDs to their command awaiting confirmation.
+ */
+const pendingConfirmations = new Map();
+
+/**
+ * Maps player IDs to the timestamps of their recent commands, for rate
+ * limiting.
+ */
+const commandTimestamps = new Map();
+
+/**
+ * Maps player IDs to a map of handler keys to the timestamp of the last use,
+ * for command cooldowns.
+ */
+const commandCooldowns = new Map();
+
+/**
+ * Maps argument types to functions converting argument strings to values of
+ * the type.
+ */
+const argumentTypes = new Map([
+  [`bool`, (value) => {
+    if ([`1`, `true`, `yes`, `on`].includes(value.toLowerCase())) return true;
+    if ([`0`, `false`, `no`, `off`].includes(value.toLowerCase())) return false;
+
+    throw new Error(`"${value}" is not a boolean, use true or false`);
+  }],
+  [`int`, (value) => {
+    if (!/^[+-]?\d+$/.test(value)) {
+      throw new Error(`"${value}" is not an integer`);
+    }
+
+    return parseInt(value, 10);
+  }],
+  [`number`, (value) => {
+    const number = Number(value);
+
+    if (value.trim() === `` || !Number.isFinite(number)) {
+      throw new Error(`"${value}" is not a number`);
+    }
+
+    return number;
+  }],
+  [`player`, (value, { argument }) => {
+    if (!room.hasPlugin(`sav/players`)) {
+      throw new Error(`player arguments require the plugin sav/players`);
+    }
+
+    const { player, candidates } = room.getPlugin(`sav/players`)
+        .resolvePlayer(value, { offlinePlayers: argument.offlinePlayers });
+
+    if (player !== null) return player;
+
+    if (candidates.length > 1) {
+      throw new Error(`"${value}" matches several players: ` + candidates
+          .map((p) => `${p.name} (#${p.id})`).join(`, `));
+    }
+
+    throw new Error(`no player found for "${value}"`);
+  }],
+  [`string`, (value) => value],
+]);
+
+//
+// Plugin functions
+//
+
+/**
+ * Validates the given arguments against the given schema and converts them.
+ *
+ * @returns Array of converted arguments.
+ * @throws Error with a message for the player if the validation fails.
+ */
+function convertArguments(schema, args, player) {
+  const convertedArguments = [];
+
+  const convert = (argument, value) => {
+    const type = argument.type || `string`;
+
+    if (!argumentTypes.has(type)) {
+      room.log(`Unknown argument type ${type}, treating argument `
+          + `${argument.name} as string`, HHM.log.level.WARN);
+      return value;
+    }
+
+    try {
+      return argumentTypes.get(type)(value, { player, argument });
+    } catch (error) {
+      throw new Error(`Invalid ${argument.name.toUpperCase()}: `
+          + error.message);
+    }
+  };
+
+  for (let i = 0; i < schema.length; i++) {
+    const argument = schema[i];
+
+    if (argument.rest) {
+      convertedArguments.push(args.slice(i)
+          .map((value) => convert(argument, value)));
+
+      if (args.length <= i && !argument.optional) {
+        throw new Error(`Missing ${argument.name.toUpperCase()}`);
+      }
+
+      return convertedArguments;
+    }
+
+    if (i >= args.length) {
+      if (!argument.optional) {
+        throw new Error(`Missing ${argument.name.toUpperCase()}`);
+      }
+
+      convertedArguments.push(argument.default);
+      continue;
+    }
+
+    convertedArguments.push(convert(argument, args[i]));
+  }
+
+  if (args.length > schema.length) {
+    throw new Error(`Too many arguments`);
+  }
+
+  return convertedArguments;
+}
+
+/**
+ * Returns a handler function which checks whether the player is authorized,
+ * validates and converts the arguments according to the given schema, checks
+ * the cooldown and asks for confirmation before calling the given handler
+ * function.
+ */
+function createCommandHandlerFunction(handler,
+    { authorization, schema, cooldown, confirm }) {
+  const fn = handler.function;
+  const command = handler.meta.name.match(commandHandlerNameRegExp)[1]
+      .split(`_`).join(` `);
+  const cooldownKey = `${handler.meta.plugin.getId()}/${handler.meta.name}`;
+
+  const commandHandlerFunction = function(player, args = [], ...rest) {
+    if (authorization !== undefined
+        && !ensurePlayerAuthorized(player, authorization, command)) {
+      if (currentLogEntry !== undefined) currentLogEntry.authorized = false;
+
+      return false;
+    }
+
+    let convertedArguments = args;
+
+    if (schema !== undefined) {
+      try {
+        convertedArguments = convertArguments(schema, args, player);
+      } catch (error) {
+        sendErrorMessage(player, `${error.message}. Usage: `
+            + `${room.getConfig().commandPrefix}${command}`
+            + getArgumentUsage(schema));
+
+        return false;
+      }
+    }
+
+    const confirmationRequired = !executionContext.confirmed
+        && (confirm === true || (typeof confirm === `function`
+            && confirm(convertedArguments, player)));
+
+    // The cooldown is only used up once the command is confirmed
+    if (cooldown !== undefined && !ensureCooldownExpired(player, cooldownKey,
+        cooldown, command, !confirmationRequired)) {
+      return false;
+    }
+
+    if (confirmationRequired) {
+      const originalMessage = rest[1] !== undefined ? rest[1]
+          : room.getConfig().commandPrefix + [command].concat(args).join(` `);
+
+      // The authorization is checked again in case the roles changed
+      requestConfirmation(player, originalMessage, (confirmingPlayer) => {
+        if (authorization !== undefined && !ensurePlayerAuthorized(
+            confirmingPlayer, authorization, command)) {
+          if (currentLogEntry !== undefined) currentLogEntry.authorized = false;
+
+          return false;
+        }
+
+        return (cooldown === undefined || ensureCooldownExpired(
+            confirmingPlayer, cooldownKey, cooldown, command))
+            && fn.call(this, confirmingPlayer, convertedArguments, ...rest);
+      });
+
+      return false;
+    }
+
+    return fn.call(this, player, convertedArguments, ...rest);
+  };
+
+  commandHandlerFunction[wrappedFunction] = fn;
+
+  return commandHandlerFunction;
+}
+
+/**
+ * Checks whether the cooldown of the given command has expired for the given
+ * player and sends a message if not. Otherwise the use of the command is
+ * recorded, unless recordUse is false.
+ */
+function ensureCooldownExpired(player, cooldownKey, cooldown, command,
+    recordUse = true) {
+  if (isPlayerExemptFromLimits(player)) return true;
+
+  const roleNames = getPlayerRoleNames(player)
+      .filter((role) => cooldown.hasOwnProperty(role));
+  const seconds = roleNames.length > 0
+      ? Math.min(...roleNames.map((role) => cooldown[role]))
+      : cooldown.default || 0;
+
+  if (!commandCooldowns.has(player.id)) {
+    commandCooldowns.set(player.id, new Map());
+  }
+
+  const lastUses = commandCooldowns.get(player.id);
+  const remainingMilliseconds = (lastUses.get(cooldownKey) || 0)
+      + seconds * 1000 - Date.now();
+
+  if (remainingMilliseconds > 0) {
+    sendErrorMessage(player, `You have to wait before using `
+        + `${room.getConfig().commandPrefix}${command} again, try again in `
+        + `${Math.ceil(remainingMilliseconds / 1000)}s`);
+
+    return false;
+  }
+
+  if (recordUse) {
+    lastUses.set(cooldownKey, Date.now());
+  }
+
+  return true;
+}
+
+/**
+ * Checks whether the given player is within the command rate limit and sends
+ * a message if not. Otherwise the command is recorded.
+ */
+function ensureRateLimit(player) {
+  const { rateLimit, rateLimitSeconds, rateLimitRoles } = room.getConfig();
+  const roleNames = getPlayerRoleNames(player)
+      .filter((role) => rateLimitRoles.hasOwnProperty(role));
+  const limit = roleNames.length > 0
+      ? Math.max(...roleNames.map((role) => rateLimitRoles[role] || Infinity))
+      : rateLimit;
+
+  if (limit <= 0 || limit === Infinity || isPlayerExemptFromLimits(player)) {
+    return true;
+  }
+
+  const now = Date.now();
+  const timestamps = (commandTimestamps.get(player.id) || [])
+      .filter((timestamp) => timestamp > now - rateLimitSeconds * 1000);
+
+  commandTimestamps.set(player.id, timestamps);
+
+  if (timestamps.length >= limit) {
+    room.sendAnnouncement(`You are using too many commands, try again in `
+        + `${Math.ceil((timestamps[timestamps.length - limit]
+            + rateLimitSeconds * 1000 - now) / 1000)}s`, player.id,
+        { prefix: HHM.log.level.ERROR });
+
+    return false;
+  }
+
+  timestamps.push(now);
+
+  return true;
+}
+
+/**
+ * Checks whether the given player meets the given authorization requirements
+ * and sends the access denied message if not.
+ */
+function ensurePlayerAuthorized(player, authorization, command) {
+  const missingAuthorization = getMissingAuthorization(player, authorization);
+
+  if (missingAuthorization === undefined) return true;
+
+  sendErrorMessage(player, `Access denied for ${command} of plugin `
+      + `${authorization.plugin.getName()}. `
+      + (missingAuthorization === `roles`
+          ? `It requires one of the following player roles: `
+              + authorization.roles.join(`, `)
+          : `It requires admin status`));
+
+  return false;
+}
+
+/**
+ * Returns the authorization requirements in the given handler data, if any.
+ */
+function getAuthorization(handlerData, plugin) {
+  const commandData = handlerData !== undefined
+      ? handlerData[`sav/commands`] || {} : {};
+
+  if (commandData.roles === undefined && !commandData.admin) {
+    return undefined;
+  }
+
+  const roles = commandData.roles === undefined || Array.isArray(
+      commandData.roles) ? commandData.roles : [commandData.roles];
+
+  return { roles, admin: commandData.admin === true, plugin };
+}
+
+/**
+ * Returns the aliases in the given handler data.
+ */
+function getHandlerAliases(handlerData) {
+  const aliases = handlerData !== undefined
+      ? (handlerData[`sav/commands`] || {}).aliases : undefined;
+
+  return aliases === undefined ? []
+      : Array.isArray(aliases) ? aliases.slice() : [aliases];
+}
+
+/**
+ * Returns the confirmation requirement in the given handler data, i.e. true or
+ * a function, if any.
+ */
+function getConfirm(handlerData) {
+  const confirm = handlerData !== undefined
+      ? (handlerData[`sav/commands`] || {}).confirm : undefined;
+
+  return confirm === true || typeof confirm === `function` ? confirm
+      : undefined;
+}
+
+/**
+ * Returns the indexes of the sensitive arguments in the given handler data.
+ */
+function getHandlerSensitiveArguments(handlerData) {
+  const sensitiveArgs = handlerData !== undefined
+      ? (handlerData[`sav/commands`] || {}).sensitiveArgs : undefined;
+
+  return Array.isArray(sensitiveArgs) ? sensitiveArgs.slice() : [];
+}
+
+/**
+ * Returns the cooldown in the given handler data as an object mapping role
+ * names to seconds, if any.
+ */
+function getCooldown(handlerData) {
+  const cooldown = handlerData !== undefined
+      ? (handlerData[`sav/commands`] || {}).cooldown : undefined;
+
+  if (cooldown === undefined || typeof cooldown === `object`) return cooldown;
+
+  return { default: cooldown };
+}
+
+/**
+ * Returns the roles of the given player, or an empty array if sav/roles is not
+ * loaded.
+ *
+ * During executeCommand with the asRole option, only that role is returned.
+ */
+function getPlayerRoleNames(player) {
+  if (executionContext.asRole !== undefined) return [executionContext.asRole];
+
+  const rolesPlugin = room.getPlugin(`sav/roles`);
+
+  return rolesPlugin ? rolesPlugin.getPlayerRoles(player.id) : [];
+}
+
+/**
+ * Returns whether the given player is exempt from cooldowns and the rate
+ * limit.
+ */
+function isPlayerExemptFromLimits(player) {
+  const bypassRoles = room.getConfig().limitBypassRoles;
+
+  return player.admin
+      || getPlayerRoleNames(player).some((role) => bypassRoles.includes(role));
+}
+
+/**
+ * Returns which of the given authorization requirements the given player does
+ * not meet, i.e. `roles` or `admin`, or undefined if the player is authorized.
+ *
+ * Roles are checked using sav/roles if it is loaded, otherwise the player is
+ * required to be an admin.
+ */
+function getMissingAuthorization(player, { roles, admin }) {
+  if (roles !== undefined) {
+    if (room.getPlugin(`sav/roles`) || executionContext.asRole !== undefined) {
+      const roleNames = getPlayerRoleNames(player);
+
+      if (!roles.some((role) => roleNames.includes(role))) return `roles`;
+    } else if (!player.admin) {
+      return `admin`;
+    }
+  }
+
+  return admin && !player.admin ? `admin` : undefined;
+}
+
+/**
+ * Returns whether the given player meets the given authorization requirements.
+ */
+function isPlayerAuthorized(player, authorization) {
+  return getMissingAuthorization(player, authorization) === undefined;
+}
+
+/**
+ * Returns whether the given player is allowed to use the given command
+ * handler, i.e. whether at least one plugin's handler for the name does not
+ * deny access.
+ */
+function canPlayerUseHandler(playerId, handlerName) {
+  if (!handlerAuthorizations.has(handlerName)) return true;
+
+  const player = room.getPlayer(playerId);
+
+  if (player === null) return false;
+
+  const manager = room.getPluginManager();
+
+  return [...handlerAuthorizations.get(handlerName).entries()]
+      .filter(([pluginId]) => manager.getPlugin(pluginId) !== undefined
+          && manager.getPlugin(pluginId).isEnabled())
+      .some(([, authorization]) => authorization === undefined
+          || isPlayerAuthorized(player, authorization));
+}
+
+/**
+ * Returns the usage of the arguments described by the given schema, e.g.
+ * ` NAME [MINUTES]`, or an empty string if the schema has no arguments.
+ */
+function getArgumentUsage(schema = []) {
+  return schema.map((argument) => {
+    const usage = argument.name.toUpperCase() + (argument.rest ? `...` : ``);
+
+    return ` ` + (argument.optional ? `[${usage}]` : usage);
+  }).join(``);
+}
+
+/**
+ * Returns the argument schema in the given handler data, if any.
+ */
+function getArgumentSchema(handlerData) {
+  return handlerData !== undefined && handlerData[`sav/commands`] !== undefined
+      ? handlerData[`sav/commands`].args : undefined;
+}
+
+/**
+ * Registers an argument type for argument schemas.
+ *
+ * @param type Name of the type.
+ * @param convert Function which receives the argument string and an object
+ *  { player, argument }, and returns the converted value or throws an Error
+ *  with a message for the player if the argument is invalid.
+ */
+function registerArgumentType(type, convert) {
+  argumentTypes.set(type, convert);
+}
+
+/**
+ * Returns the edit distance between the given strings, where insertions,
+ * deletions, substitutions and transpositions of adjacent characters count as
+ * one edit each.
+ */
+function calculateEditDistance(a, b) {
+  const distances = [];
+
+  for (let i = 0; i <= a.length; i++) {
+    distances[i] = [i];
+  }
+
+  for (let j = 1; j <= b.length; j++) {
+    distances[0][j] = j;
+  }
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+
+      distances[i][j] = Math.min(distances[i - 1][j] + 1,
+          distances[i][j - 1] + 1, distances[i - 1][j - 1] + cost);
+
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distances[i][j] = Math.min(distances[i][j],
+            distances[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return distances[a.length][b.length];
+}
+
+/**
+ * Returns the known commands the given player can use which are most similar
+ * to the given command words, most similar first.
+ *
+ * Each known command is compared to as many of the given words as it has
+ * words itself.
+ */
+function findSimilarCommands(playerId, words, maxSuggestions) {
+  const commands = new Set(getCommandHandlerNames()
+      .filter((handlerName) => canPlayerUseHandler(playerId, handlerName))
+      .map((handlerName) => handlerName.match(commandHandlerNameRegExp)[1]
+          .split(`_`).join(` `)));
+
+  return [...commands]
+      .map((command) => {
+        const input = words.slice(0, command.split(` `).length).join(` `);
+
+        return { command, input,
+          distance: calculateEditDistance(input, command) };
+      })
+      .filter(({ input, distance }) =>
+          distance <= Math.max(1, Math.ceil(input.length / 3)))
+      .sort((a, b) => a.distance - b.distance
+          || a.command.localeCompare(b.command))
+      .slice(0, maxSuggestions)
+      .map(({ command }) => command);
+}
+
+/**
+ * Formats the given time in milliseconds for display.
+ */
+function formatTime(milliseconds) {
+  return `${milliseconds.toFixed(milliseconds < 10 ? 3 : 1)}ms`;
+}
+
+/**
+ * Appends the given entry to the command log and removes the oldest entries
+ * exceeding the configured size.
+ */
+function addLogEntry(entry) {
+  const commandLogSize = room.getConfig().commandLogSize;
+
+  if (commandLogSize <= 0) return;
+
+  commandLog.push(entry);
+  commandLog.splice(0, commandLog.length - commandLogSize);
+
+  room.markDirty();
+}
+
+/**
+ * Returns a new command log entry for the given player and parsed message.
+ *
+ * All arguments are masked until the command handlers have been found.
+ */
+function createLogEntry(player, parsedMessage) {
+  return {
+    timestamp: Date.now(),
+    playerName: player.name,
+    playerId: player.id,
+    auth: player.auth !== undefined ? player.auth : null,
+    command: parsedMessage.command,
+    arguments: parsedMessage.arguments.map(() => MASKED_ARGUMENT),
+    authorized: true,
+    returnValue: undefined,
+  };
+}
+
+/**
+ * Executes the given command as the given player, as if the player had typed
+ * it in the chat, and returns the combined return value of the handlers, or
+ * undefined if the command is unknown.
+ *
+ * The command prefix can be omitted. The command is not displayed in the room
+ * and does not count towards the rate limit. Options:
+ *
+ *  - silent: do not send the messages of this plugin, e.g. access denied or
+ *    usage errors, to the player
+ *  - asRole: check the authorization and cooldowns as if the player only had
+ *    the given role
+ *  - confirmed: execute commands which require a confirmation immediately
+ */
+function executeCommand(playerOrId, commandString,
+    { silent = false, asRole, confirmed = false } = {}) {
+  const player = typeof playerOrId === `object` ? playerOrId
+      : room.getPlayer(playerOrId);
+
+  if (player === null || player === undefined) {
+    throw new Error(`Failed to execute command ${commandString}: player `
+        + `${playerOrId} is not in the room`);
+  }
+
+  const commandPrefix = room.getConfig().commandPrefix;
+
+  if (!commandString.startsWith(commandPrefix)) {
+    commandString = commandPrefix + commandString;
+  }
+
+  const parsedMessage = room.parseMessage(commandString);
+
+  if (parsedMessage.command === ``) return undefined;
+
+  const previousExecutionContext = executionContext;
+  executionContext = { silent, asRole, confirmed };
+
+  try {
+    return triggerEvents(player, parsedMessage);
+  } finally {
+    executionContext = previousExecutionContext;
+  }
+}
+
+/**
+ * Returns whether the given command log entry belongs to the given command or
+ * one of its sub-commands.
+ */
+function isLogEntryForCommand(entry, command) {
+  const commandPrefix = room.getConfig().commandPrefix;
+
+  if (command.startsWith(commandPrefix)) {
+    command = command.substr(commandPrefix.length);
+  }
+
+  return entry.command === command || entry.command.startsWith(`${command} `);
+}
+
+/**
+ * Returns whether the given command log entry belongs to the given player,
+ * which can be an ID, #ID, name or auth.
+ */
+function isLogEntryForPlayer(entry, player) {
+  if (typeof player === `number`) return entry.playerId === player;
+
+  return player === `#${entry.playerId}` || player === entry.auth
+      || player.toLowerCase() === entry.playerName.toLowerCase();
+}
+
+/**
+ * Returns copies of the command log entries, oldest first, filtered by player
+ * (ID, #ID, name or auth) and command if given, and limited to the last count
+ * entries.
+ */
+function getCommandLog({ player, command, count } = {}) {
+  const entries = commandLog
+      .filter((entry) => player === undefined
+          || isLogEntryForPlayer(entry, player))
+      .filter((entry) => command === undefined
+          || isLogEntryForCommand(entry, command))
+      .map((entry) => Object.assign({}, entry,
+          { arguments: entry.arguments.slice() }));
+
+  return count === undefined ? entries : entries.slice(-count);
+}
+
+/**
+ * Expands the abbreviated command words at the beginning of the given words if
+ * they are unambiguous prefixes of the known command words.
+ */
+function expandAbbreviations(words, commandPaths) {
+  words = words.slice();
+
+  for (let i = 0; i < words.length; i++) {
+    const candidates = new Set(commandPaths
+        .filter((path) => path.length > i
+            && path.slice(0, i).every((word, j) => word === words[j]))
+        .map((path) => path[i]));
+
+    if (candidates.has(words[i])) continue;
+
+    const matches = [...candidates]
+        .filter((word) => words[i].length > 0 && word.startsWith(words[i]));
+
+    if (matches.length !== 1) break;
+
+    words[i] = matches[0];
+  }
+
+  return words;
+}
+
+/**
+ * Returns a map of all aliases to the words of the corresponding command.
+ *
+ * Aliases of the config take precedence over the ones declared in the handler
+ * data.
+ */
+function getAliases() {
+  const manager = room.getPluginManager();
+  const aliases = new Map();
+
+  handlerAliases.forEach((pluginAliases, handlerName) =>
+      pluginAliases.forEach((aliasList, pluginId) => {
+        if (manager.getPlugin(pluginId) === undefined
+            || !manager.getPlugin(pluginId).isEnabled()) {
+          return;
+        }
+
+        const words = handlerName.match(commandHandlerNameRegExp)[1]
+            .split(`_`);
+
+        aliasList.forEach((alias) => aliases.set(alias, words));
+      }));
+
+  Object.entries(room.getConfig().aliases).forEach(([alias, command]) =>
+      aliases.set(alias, command.split(` `).filter((w) => w.length > 0)));
+
+  return aliases;
+}
+
+/**
+ * Returns the aliases of the given command, e.g. [`ccs`] for
+ * `chat channel switch`.
+ */
+function getCommandAliases(command) {
+  return [...getAliases().entries()]
+      .filter(([, words]) => words.join(` `) === command)
+      .map(([alias]) => alias)
+      .sort();
+}
+
+/**
+ * Returns the indexes of the arguments declared sensitive by the given command
+ * handlers of enabled plugins.
+ */
+function getSensitiveArgumentIndexes(handlerNames) {
+  const manager = room.getPluginManager();
+  const indexes = new Set();
+
+  handlerNames.filter((handlerName) =>
+      handlerSensitiveArguments.has(handlerName))
+      .forEach((handlerName) => handlerSensitiveArguments.get(handlerName)
+          .forEach((pluginIndexes, pluginId) => {
+            if (manager.getPlugin(pluginId) !== undefined
+                && manager.getPlugin(pluginId).isEnabled()) {
+              pluginIndexes.forEach((index) => indexes.add(index));
+            }
+          }));
+
+  return indexes;
+}
+
+/**
+ * Returns the names of all handlers for specific commands.
+ */
+function getCommandHandlerNames() {
+  return room.getPluginManager().getHandlerNames()
+      .filter((handlerName) => commandHandlerNameRegExp.test(handlerName));
+}
+
+/**
+ * Returns a copy of the given parsed message with aliases and abbreviations
+ * replaced by the full command words.
  *
- * 1.1.0:
- *  - add sub-command support
- *  - change syntax from onCommandFoo# to onCommand#_foo
+ * The positions of arguments replacing an alias point to the first argument
+ * following the alias.
  */
+function resolveAliases(parsedMessage) {
+  const commandPaths = getCommandHandlerNames().map((handlerName) =>
+      handlerName.match(commandHandlerNameRegExp)[1].split(`_`));
+  const commands = new Set(commandPaths.map((path) => path.join(` `)));
+  const aliases = getAliases();
 
-var room = HBInit();
+  let words = [parsedMessage.command].concat(parsedMessage.arguments);
+  let positions = [0].concat(parsedMessage.argumentPositions);
 
-room.pluginSpec = {
-  name: `sav/commands`,
-  author: `saviola`,
-  version: `1.4.3`,
-  config: {
-    commandPrefix: `!`,
-    hideCommands: 0,
-    multiCommandPrefixHidesMessage: true,
-  },
-};
+  // Replace the longest alias which does not shadow a command
+  for (let i = words.length; i > 0; i--) {
+    const alias = words.slice(0, i).join(` `);
 
-//
-// Plugin functions
-//
+    if (!aliases.has(alias) || commands.has(alias)) continue;
+
+    const position = i < words.length ? positions[i]
+        : parsedMessage.originalMessage.length;
+
+    words = aliases.get(alias).concat(words.slice(i));
+    positions = aliases.get(alias).map(() => position)
+        .concat(positions.slice(i));
+    break;
+  }
+
+  if (room.getConfig().commandAbbreviations) {
+    words = expandAbbreviations(words, commandPaths);
+  }
+
+  return Object.assign({}, parsedMessage, {
+    command: words[0],
+    arguments: words.slice(1),
+    argumentPositions: positions.slice(1),
+  });
+}
 
 /**
  * TODO documentation
@@ -113,15 +1223,124 @@ function removeMultiCommandPrefix(message, commandPrefix) {
   return message;
 }
 
+/**
+ * Stores the given function as the command awaiting confirmation by the given
+ * player and asks the player to confirm it. The function receives the player
+ * confirming the command.
+ *
+ * The command and arguments of the current log entry are kept, so the command
+ * can be logged once it is confirmed.
+ */
+function requestConfirmation(player, message, execute) {
+  const commandPrefix = room.getConfig().commandPrefix;
+  const timeoutSeconds = room.getConfig().confirmationTimeoutSeconds;
+
+  pendingConfirmations.set(player.id, { message, execute,
+    logEntry: currentLogEntry === undefined ? undefined : {
+      command: currentLogEntry.command,
+      arguments: currentLogEntry.arguments.slice(),
+    },
+    expires: Date.now() + timeoutSeconds * 1000 });
+
+  room.sendAnnouncement(`Type ${commandPrefix}confirm within `
+      + `${timeoutSeconds}s to execute ${message}, or ${commandPrefix}cancel`,
+      player.id);
+}
+
+/**
+ * Sends the given error message to the given player, unless the command is
+ * executed silently.
+ */
+function sendErrorMessage(player, message) {
+  if (executionContext.silent) return;
+
+  room.sendAnnouncement(message, player.id, { prefix: HHM.log.level.ERROR });
+}
+
+/**
+ * Sends the unknown command message including similar commands to the given
+ * player.
+ */
+function sendUnknownCommandMessage(player, parsedMessage) {
+  const commandPrefix = room.getConfig().commandPrefix;
+  const words = [parsedMessage.command].concat(parsedMessage.arguments);
+  const suggestions = findSimilarCommands(player.id, words,
+      room.getConfig().maxCommandSuggestions);
+
+  sendErrorMessage(player, `Unknown command ${commandPrefix}`
+      + `${parsedMessage.command}` + (suggestions.length > 0
+          ? `, did you mean ${suggestions.map((command) =>
+              `${commandPrefix}${command}`).join(`, `)}?` : ``));
+}
+
+/**
+ * Marks the command currently being triggered as handled, so the player does
+ * not receive the unknown command message if there is no specific handler for
+ * it. Meant to be called by onCommand handlers.
+ */
+function markCommandHandled() {
+  commandHandled = true;
+}
+
 /**
  * Triggers the appropriate events for the given parsed message.
  *
- * The most specific sub-command will be triggered if several candidates are
- * found.
+ * Aliases are resolved and the catch-all event onCommand is always triggered,
+ * of the specific events the most specific sub-command will be triggered if
+ * several candidates are found. If there is no handler for the command and no
+ * onCommand handler handled it, the player is informed and undefined is
+ * returned.
+ */
+function triggerEvents(player, parsedMessage) {
+  parsedMessage = resolveAliases(parsedMessage);
+
+  const previousLogEntry = currentLogEntry;
+  const previousCommandHandled = commandHandled;
+  const logEntry = currentLogEntry = createLogEntry(player, parsedMessage);
+  let catchAllReturnValue, catchAllHandled, returnValue;
+
+  commandHandled = false;
+
+  try {
+    catchAllReturnValue = room.triggerEvent(`onCommand`, player,
+        parsedMessage.command, parsedMessage.arguments,
+        parsedMessage.argumentString, parsedMessage.originalMessage) !== false;
+    catchAllHandled = commandHandled || !catchAllReturnValue;
+
+    returnValue = triggerCommandEvents(player, parsedMessage);
+  } finally {
+    currentLogEntry = previousLogEntry;
+    commandHandled = previousCommandHandled;
+  }
+
+  if (returnValue === undefined && catchAllHandled) {
+    returnValue = true;
+  }
+
+  logEntry.returnValue = returnValue === undefined ? undefined
+      : returnValue && catchAllReturnValue;
+  addLogEntry(logEntry);
+
+  if (returnValue === undefined) {
+    if (room.getConfig().unknownCommandMessage) {
+      sendUnknownCommandMessage(player, parsedMessage);
+    }
+
+    return undefined;
+  }
+
+  return returnValue && catchAllReturnValue;
+}
+
+/**
+ * Triggers the events for the most specific sub-command of the given parsed
+ * message.
+ *
+ * @returns Combined return value of the triggered handlers, or undefined if
+ *  there is no handler for the command.
  */
-function triggerEvents(playerId, parsedMessage) {
-  const eventHandlers = room.getPluginManager().getHandlerNames()
-    .filter(handler => handler.startsWith(`onCommand`));
+function triggerCommandEvents(player, parsedMessage) {
+  const eventHandlers = getCommandHandlerNames();
 
   let subcommand = parsedMessage.command;
   const potentialSubcommands = [subcommand];
@@ -137,16 +1356,28 @@ function triggerEvents(playerId, parsedMessage) {
   // Find the handler for the most specific subcommand
   for (let i = potentialSubcommands.length - 1; i >= 0; i--) {
     let subcommandEventHandlers = eventHandlers
-    .filter(handler => handler.endsWith(potentialSubcommands[i]));
+    .filter(handler => handler.match(commandHandlerNameRegExp)[1]
+        === potentialSubcommands[i]);
 
     // As soon as we have a match, trigger events and return
     if (subcommandEventHandlers.length > 0) {
-      const player = room.getPlayer(playerId);
       const j = parsedMessage.arguments.length - i;
       const arguments = parsedMessage.arguments.slice(i);
-      const argumentString = arguments.join(parsedMessage.separator);
+      const argumentString = i < parsedMessage.arguments.length
+          ? parsedMessage.originalMessage
+              .substr(parsedMessage.argumentPositions[i]) : ``;
       let returnValue = true;
 
+      if (currentLogEntry !== undefined) {
+        const sensitiveArgumentIndexes = getSensitiveArgumentIndexes(
+            [`onCommand${j}_${potentialSubcommands[i]}`,
+              `onCommand_${potentialSubcommands[i]}`]);
+
+        currentLogEntry.command = potentialSubcommands[i].split(`_`).join(` `);
+        currentLogEntry.arguments = arguments.map((argument, index) =>
+            sensitiveArgumentIndexes.has(index) ? MASKED_ARGUMENT : argument);
+      }
+
       returnValue = room.triggerEvent(
           `onCommand${j}_${potentialSubcommands[i]}`, player, arguments,
           argumentString, parsedMessage.originalMessage) !== false;
@@ -163,16 +1394,11 @@ function triggerEvents(playerId, parsedMessage) {
  * Parse given message into command and arguments using the given command prefix
  * and separator.
  *
- * @returns Object containing the command, and array of arguments, as well as
- *  a string containing all the arguments and the separator that was used.
+ * @returns Object containing the command, and array of arguments and their
+ *  positions, as well as a string containing all the arguments and the
+ *  separator that was used.
  */
 function parseMessage(message, numArgsMax, commandPrefix, separator) {
-  if (numArgsMax === undefined) {
-    numArgsMax = -2;
-  }
-
-  numArgsMax++;
-
   if (commandPrefix === undefined) {
     commandPrefix = room.getConfig().commandPrefix;
   }
@@ -183,36 +1409,117 @@ function parseMessage(message, numArgsMax, commandPrefix, separator) {
 
   message = removeMultiCommandPrefix(message, commandPrefix);
 
-  if (!message.startsWith(commandPrefix) || message.length < 2) {
+  const tokens = message.startsWith(commandPrefix)
+      ? tokenizeMessage(message, separator) : [];
+
+  if (tokens.length === 0 || tokens[0].start !== 0
+      || tokens[0].value.length <= commandPrefix.length) {
     return {
       command: ``,
       arguments: [],
+      argumentPositions: [],
       argumentString: ``,
       separator: separator,
     }
   }
 
-  const parts = message.split(separator, numArgsMax).map(arg => arg.trim())
-  .filter(arg => arg.length > 0);
-
-  const argumentString = parts.length > 1 ? message.split(separator, 2)[1] : ``;
-
-  const command = parts[0][commandPrefix.length]
-      + (parts[0].length > commandPrefix.length + 1
-          ? parts[0].substr(commandPrefix.length + 1) : ``);
+  const command = tokens[0].value.substr(commandPrefix.length);
 
   // Remove command from the message parts
-  parts.shift();
+  tokens.shift();
+
+  if (numArgsMax !== undefined && numArgsMax >= 0) {
+    tokens.splice(numArgsMax);
+  }
 
   return {
     command: command,
-    arguments: parts,
-    argumentString: argumentString,
+    arguments: tokens.map((token) => token.value),
+    argumentPositions: tokens.map((token) => token.start),
+    argumentString: tokens.length > 0 ? message.substr(tokens[0].start) : ``,
     separator: separator,
     originalMessage: message,
   };
 }
 
+/**
+ * Returns whether the quote at the given index of the message is followed by
+ * an unescaped closing quote of the same kind.
+ */
+function hasClosingQuote(message, index) {
+  for (let i = index + 1; i < message.length; i++) {
+    if (message[i] === `\\`) {
+      i++;
+    } else if (message[i] === message[index]) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Splits the given message into tokens at the given separator, taking quotes,
+ * backslash escapes and the -- marker into account.
+ *
+ * Unquoted tokens are trimmed and dropped if they are empty. Quotes without a
+ * closing quote are kept as literal characters, e.g. the apostrophe in
+ * !msg don't go.
+ *
+ * @returns Array of objects { value, start }, where start is the position of
+ *  the token in the message.
+ */
+function tokenizeMessage(message, separator) {
+  const tokens = [];
+  let token, quote, literal = false;
+
+  const finishToken = () => {
+    if (!token.quoted) {
+      token.value = token.value.trim();
+    }
+
+    if (!literal && !token.quoted && token.value === `--`) {
+      literal = true;
+    } else if (token.quoted || token.value.length > 0) {
+      tokens.push({ value: token.value, start: token.start });
+    }
+
+    token = undefined;
+  };
+
+  for (let i = 0; i < message.length;) {
+    if (quote === undefined && message.startsWith(separator, i)) {
+      if (token !== undefined) finishToken();
+      i += separator.length;
+      continue;
+    }
+
+    if (token === undefined) {
+      token = { value: ``, start: i, quoted: false };
+    }
+
+    const character = message[i];
+
+    if (!literal && character === `\\` && i + 1 < message.length) {
+      token.value += message[i + 1];
+      i += 2;
+    } else if (!literal && (character === `"` || character === `'`)
+        && (quote === character || (quote === undefined
+            && hasClosingQuote(message, i)))) {
+      quote = quote === undefined ? character : undefined;
+      token.quoted = true;
+      i++;
+    } else {
+      token.value += character;
+      i++;
+    }
+  }
+
+  if (token !== undefined) finishToken();
+
+  return tokens;
+}
+
 //
 // Event handlers
 //
@@ -225,11 +1532,304 @@ function onCommandHhm0Handler() {
       + `${HHM.version.buildDate}`);
 }
 
+const onCommandHhmProfileHandlerData = {
+  'sav/commands': {
+    roles: [`host`],
+  },
+  'sav/help': {
+    text: ` [EVENT], display the most expensive events or the plugins handling `
+        + `the given event`,
+  },
+};
+
+/**
+ * Displays the handler profile.
+ */
+function onCommandHhmProfileHandler(player, [eventName] = []) {
+  const core = room.getPlugin(`hhm/core`);
+  const profile = room.getProfile();
+  const seconds = Math.round((Date.now() - core.getProfileStart()) / 1000);
+  const status = `Profiling is ${core.isProfiling() ? `enabled` : `disabled`}`
+      + `, data collected over ${seconds}s.`;
+
+  const sumProfile = (eventProfile) => Object.values(eventProfile).reduce(
+      (sum, { calls, totalTime }) => ({ calls: Math.max(sum.calls, calls),
+        totalTime: sum.totalTime + totalTime }), { calls: 0, totalTime: 0 });
+
+  if (eventName === undefined) {
+    const lines = Object.getOwnPropertyNames(profile)
+        .map((name) => [name, sumProfile(profile[name])])
+        .sort((a, b) => b[1].totalTime - a[1].totalTime)
+        .slice(0, PROFILE_MAX_ENTRIES)
+        .map(([name, { calls, totalTime }]) => `${name}: ${calls} calls, `
+            + `${formatTime(totalTime)} total`);
+
+    room.sendAnnouncement(`${status}\n` + (lines.length > 0 ? lines.join(`\n`)
+        : `No profiling data available`), player.id);
+
+    return false;
+  }
+
+  if (!profile.hasOwnProperty(eventName)) {
+    room.sendAnnouncement(`${status}\nNo profiling data available for event `
+        + eventName, player.id);
+
+    return false;
+  }
+
+  const lines = Object.getOwnPropertyNames(profile[eventName])
+      .map((name) => [name, profile[eventName][name]])
+      .sort((a, b) => b[1].totalTime - a[1].totalTime)
+      .slice(0, PROFILE_MAX_ENTRIES)
+      .map(([name, { calls, totalTime, maxTime, averageTime }]) =>
+          `${name}: ${calls} calls, ${formatTime(totalTime)} total, `
+          + `${formatTime(averageTime)} avg, ${formatTime(maxTime)} max`);
+
+  room.sendAnnouncement(`${status}\n${eventName}:\n${lines.join(`\n`)}`,
+      player.id);
+
+  return false;
+}
+
+const onCommandHhmProfileStart0HandlerData = {
+  'sav/commands': {
+    roles: [`host`],
+  },
+  'sav/help': {
+    text: `, enable profiling and discard previous profiling data`,
+  },
+};
+
+/**
+ * Enables profiling.
+ */
+function onCommandHhmProfileStart0Handler(player) {
+  room.getPlugin(`hhm/core`).setProfiling(true);
+  room.sendAnnouncement(`Profiling enabled`, player.id);
+
+  return false;
+}
+
+const onCommandHhmProfileStop0HandlerData = {
+  'sav/commands': {
+    roles: [`host`],
+  },
+  'sav/help': {
+    text: `, disable profiling`,
+  },
+};
+
+/**
+ * Disables profiling, the collected data is kept.
+ */
+function onCommandHhmProfileStop0Handler(player) {
+  room.getPlugin(`hhm/core`).setProfiling(false);
+  room.sendAnnouncement(`Profiling disabled`, player.id);
+
+  return false;
+}
+
+const onCommandHhmProfileReset0HandlerData = {
+  'sav/commands': {
+    roles: [`host`],
+  },
+  'sav/help': {
+    text: `, discard collected profiling data`,
+  },
+};
+
+/**
+ * Discards the collected profiling data.
+ */
+function onCommandHhmProfileReset0Handler(player) {
+  room.getPlugin(`hhm/core`).resetProfile();
+  room.sendAnnouncement(`Profiling data discarded`, player.id);
+
+  return false;
+}
+
+const onCommandCancel0HandlerData = {
+  'sav/help': {
+    text: `, cancel the command awaiting your confirmation`,
+  },
+};
+
+function onCommandCancel0Handler(player) {
+  const pendingConfirmation = pendingConfirmations.get(player.id);
+  pendingConfirmations.delete(player.id);
+
+  if (pendingConfirmation === undefined
+      || pendingConfirmation.expires < Date.now()) {
+    return room.sendAnnouncement(`No command awaiting confirmation`,
+        player.id, { prefix: HHM.log.level.ERROR });
+  }
+
+  room.sendAnnouncement(`Cancelled ${pendingConfirmation.message}`,
+      player.id);
+}
+
+const onCommandConfirm0HandlerData = {
+  'sav/help': {
+    text: `, execute the command awaiting your confirmation`,
+  },
+};
+
+function onCommandConfirm0Handler(player) {
+  const pendingConfirmation = pendingConfirmations.get(player.id);
+  pendingConfirmations.delete(player.id);
+
+  if (pendingConfirmation === undefined
+      || pendingConfirmation.expires < Date.now()) {
+    return room.sendAnnouncement(`No command awaiting confirmation`,
+        player.id, { prefix: HHM.log.level.ERROR });
+  }
+
+  if (pendingConfirmation.logEntry === undefined) {
+    return pendingConfirmation.execute(player);
+  }
+
+  // Log the confirmed command in addition to !confirm
+  const previousLogEntry = currentLogEntry;
+  const logEntry = currentLogEntry = Object.assign(createLogEntry(player,
+      { command: pendingConfirmation.logEntry.command, arguments: [] }),
+      { arguments: pendingConfirmation.logEntry.arguments, confirmed: true });
+  let returnValue;
+
+  try {
+    returnValue = pendingConfirmation.execute(player) !== false;
+  } finally {
+    currentLogEntry = previousLogEntry;
+  }
+
+  logEntry.returnValue = returnValue;
+  addLogEntry(logEntry);
+
+  return returnValue;
+}
+
+const onCommandHistoryHandlerData = {
+  'sav/commands': {
+    roles: [`host`],
+    args: [
+      { name: `player|command`, type: `string`, optional: true },
+      { name: `n`, type: `int`, optional: true },
+    ],
+  },
+  'sav/help': {
+    text: `, display the last N commands, optionally only for the given `
+        + `player (#ID, name or auth) or command`,
+  },
+};
+
+function onCommandHistoryHandler(player, [filter, count]) {
+  // A single number is the number of entries
+  if (count === undefined && /^\d+$/.test(filter)) {
+    count = parseInt(filter, 10);
+    filter = undefined;
+  }
+
+  const commandPrefix = room.getConfig().commandPrefix;
+  const entries = commandLog
+      .filter((entry) => filter === undefined
+          || isLogEntryForCommand(entry, filter)
+          || (!filter.startsWith(commandPrefix)
+              && isLogEntryForPlayer(entry, filter)))
+      .slice(-(count || HISTORY_DEFAULT_ENTRIES));
+
+  if (entries.length === 0) {
+    return room.sendAnnouncement(`No commands recorded`
+        + (filter !== undefined ? ` for ${filter}` : ``), player.id);
+  }
+
+  room.sendAnnouncement(entries.map((entry) =>
+      `${new Date(entry.timestamp).toISOString().substr(0, 19)
+          .replace(`T`, ` `)} ${entry.playerName}#${entry.playerId}: `
+      + [`${commandPrefix}${entry.command}`].concat(entry.arguments).join(` `)
+      + (!entry.authorized ? ` (denied)`
+          : entry.returnValue === undefined ? ` (unknown)`
+          : entry.confirmed ? ` (confirmed)` : ``))
+      .join(`\n`), player.id);
+}
+
+/**
+ * Wraps command handlers which declare authorization requirements, an argument
+ * schema, a cooldown or a confirmation, so these are checked before the
+ * handlers are called.
+ */
+function onHhmEventHandlerSetHandler({ handler }) {
+  if (!commandHandlerNameRegExp.test(handler.meta.name)
+      || typeof handler.function !== `function`
+      || handler.function[wrappedFunction] !== undefined) {
+    return;
+  }
+
+  const plugin = handler.meta.plugin;
+  let schema = getArgumentSchema(handler.data);
+  const authorization = getAuthorization(handler.data, plugin);
+  const cooldown = getCooldown(handler.data);
+  const confirm = getConfirm(handler.data);
+
+  if (!handlerAuthorizations.has(handler.meta.name)) {
+    handlerAuthorizations.set(handler.meta.name, new Map());
+  }
+
+  handlerAuthorizations.get(handler.meta.name).set(plugin.getId(),
+      authorization);
+
+  if (!handlerAliases.has(handler.meta.name)) {
+    handlerAliases.set(handler.meta.name, new Map());
+  }
+
+  handlerAliases.get(handler.meta.name).set(plugin.getId(),
+      getHandlerAliases(handler.data));
+
+  if (!handlerSensitiveArguments.has(handler.meta.name)) {
+    handlerSensitiveArguments.set(handler.meta.name, new Map());
+  }
+
+  handlerSensitiveArguments.get(handler.meta.name).set(plugin.getId(),
+      getHandlerSensitiveArguments(handler.data));
+
+  const invalidArgument = schema === undefined ? undefined
+      : !Array.isArray(schema) ? schema : schema.find(
+      (argument, index) => typeof argument !== `object` || argument === null
+          || typeof argument.name !== `string`
+          || (argument.rest && index !== schema.length - 1));
+
+  if (invalidArgument !== undefined) {
+    room.log(`Invalid argument schema for handler ${handler.meta.name} of `
+        + `plugin ${plugin.getName()}: `
+        + JSON.stringify(invalidArgument), HHM.log.level.ERROR);
+    schema = undefined;
+  }
+
+  if (authorization === undefined && schema === undefined
+      && cooldown === undefined && confirm === undefined) {
+    return;
+  }
+
+  handler.function = createCommandHandlerFunction(handler,
+      { authorization, schema, cooldown, confirm });
+}
+
+/**
+ * Wraps the command handlers which were set before sav/commands was loaded,
+ * including its own, since onHhm_eventHandlerSet was not triggered for them.
+ */
+function onRoomLinkHandler() {
+  const manager = room.getPluginManager();
+
+  manager.getLoadedPluginIds().map((id) => manager.getPlugin(id))
+      .forEach((plugin) => plugin.getHandlerNames()
+          .filter((handlerName) => commandHandlerNameRegExp.test(handlerName))
+          // Setting the handler again triggers onHhm_eventHandlerSet
+          .forEach((handlerName) => plugin[handlerName] = plugin[handlerName]));
+}
+
 /**
  * Triggers command events if a command was found in the incoming message.
  *
  * TODO needs buffering or similar to avoid displaying command after the fact
- * TODO detect commands that are not handled by any plugin?
  */
 function onPlayerChatHandler(player, message, { returnValue }) {
   if (returnValue === false) return false;
@@ -250,7 +1850,10 @@ function onPlayerChatHandler(player, message, { returnValue }) {
       room.sendAnnouncement(message, player.id, { prefix: [`CMD`] });
     }
 
-    const eventReturnValue = triggerEvents(player.id, parsedMessage);
+    // Commands exceeding the rate limit are dropped, unknown commands are
+    // displayed like commands whose handlers don't return false
+    const eventReturnValue = ensureRateLimit(player)
+        && triggerEvents(player, parsedMessage) !== false;
 
     return !hideMessage && hideCommands === 0 && eventReturnValue;
   }
@@ -258,11 +1861,74 @@ function onPlayerChatHandler(player, message, { returnValue }) {
   return true;
 }
 
+/**
+ * Removes the cooldowns, rate limit state and commands awaiting confirmation
+ * of players leaving the room.
+ */
+function onPlayerLeaveHandler(player) {
+  commandTimestamps.delete(player.id);
+  commandCooldowns.delete(player.id);
+  pendingConfirmations.delete(player.id);
+}
+
+function onPersistHandler() {
+  return { commandLog };
+}
+
+function onRestoreHandler(data) {
+  if (data === undefined || !Array.isArray(data.commandLog)) return;
+
+  commandLog.unshift(...data.commandLog);
+  commandLog.splice(0, commandLog.length
+      - Math.max(room.getConfig().commandLogSize, 0));
+}
+
 //
 // Exports
 //
 
+room.canPlayerUseHandler = canPlayerUseHandler;
+room.ensureRateLimit = ensureRateLimit;
+room.executeCommand = executeCommand;
+room.getArgumentUsage = getArgumentUsage;
+room.getCommandAliases = getCommandAliases;
+room.getCommandLog = getCommandLog;
+room.markCommandHandled = markCommandHandled;
 room.parseMessage = parseMessage;
+room.registerArgumentType = registerArgumentType;
 
 room.onCommand0_hhm = room.onCommand0_info = onCommandHhm0Handler;
-room.onPlayerChat = onPlayerChatHandler;
\ No newline at end of file
+room.onCommand_hhm_profile = {
+  function: onCommandHhmProfileHandler,
+  data: onCommandHhmProfileHandlerData,
+};
+room.onCommand0_hhm_profile_start = {
+  function: onCommandHhmProfileStart0Handler,
+  data: onCommandHhmProfileStart0HandlerData,
+};
+room.onCommand0_hhm_profile_stop = {
+  function: onCommandHhmProfileStop0Handler,
+  data: onCommandHhmProfileStop0HandlerData,
+};
+room.onCommand0_hhm_profile_reset = {
+  function: onCommandHhmProfileReset0Handler,
+  data: onCommandHhmProfileReset0HandlerData,
+};
+room.onCommand0_cancel = {
+  function: onCommandCancel0Handler,
+  data: onCommandCancel0HandlerData,
+};
+room.onCommand0_confirm = {
+  function: onCommandConfirm0Handler,
+  data: onCommandConfirm0HandlerData,
+};
+room.onCommand_history = {
+  function: onCommandHistoryHandler,
+  data: onCommandHistoryHandlerData,
+};
+room.onHhm_eventHandlerSet = onHhmEventHandlerSetHandler;
+room.onPersist = onPersistHandler;
+room.onPlayerChat = onPlayerChatHandler;
+room.onPlayerLeave = onPlayerLeaveHandler;
+room.onRestore = onRestoreHandler;
+room.onRoomLink = onRoomLinkHandler;
\ No newline at end of file
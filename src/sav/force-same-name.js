@@ -3,6 +3,9 @@
  *
  * Once a user has joined with a nickname, they will be kicked when joining with
  * another nickname later unless they change both their auth and IP.
+ *
+ * The mappings are only persisted after they changed. Auths and conns pruned by
+ * sav/players are removed from the mappings as well.
  */
 
 var room = HBInit();
@@ -10,7 +13,10 @@ var room = HBInit();
 room.pluginSpec = {
   name: `sav/force-same-name`,
   author: `saviola`,
-  version: `1.0.0`,
+  version: `1.2.0`,
+  persistence: {
+    dirtyTracking: true,
+  },
 };
 
 //
@@ -44,8 +50,28 @@ function onPlayerJoinHandler(player) {
     return false;
   }
 
+  if (auths[player.auth] === player.name
+      && conns[player.conn] === player.name) {
+    return;
+  }
+
   auths[player.auth] = player.name;
   conns[player.conn] = player.name;
+
+  room.markDirty();
+}
+
+/**
+ * Removes the mappings of auths and conns which have been pruned by
+ * sav/players.
+ */
+function onUsersPrunedHandler({ auths: prunedAuths, conns: prunedConns }) {
+  prunedAuths.forEach((auth) => delete auths[auth]);
+  prunedConns.forEach((conn) => delete conns[conn]);
+
+  if (prunedAuths.length > 0 || prunedConns.length > 0) {
+    room.markDirty();
+  }
 }
 
 function onPersistHandler() {
@@ -65,4 +91,5 @@ function onRestoreHandler(data) {
 
 room.onPlayerJoin = onPlayerJoinHandler;
 room.onPersist = onPersistHandler;
-room.onRestore = onRestoreHandler;
\ No newline at end of file
+room.onRestore = onRestoreHandler;
+room.onUsersPruned = onUsersPrunedHandler;
\ No newline at end of file
@@ -31,8 +31,42 @@
  *
  * for this example.
  *
+ * If the handler declares an argument schema for sav/commands, the usage is
+ * generated from it and prepended to the help text, e.g.
+ *
+ * data: {
+ *   'sav/commands': { args: [{ name: `role` }, { name: `password` }] },
+ *   'sav/help': { text: `, authenticate for the given role` },
+ * }
+ *
+ * results in: !auth ROLE PASSWORD, authenticate for the given role
+ *
+ * Commands which the player is not authorized to use according to the roles
+ * declared for sav/commands are not listed. The help for a command also lists
+ * its aliases.
+ *
  * Changelog:
  *
+ * 2.3.2:
+ *  - handle !help without arguments in the same handler, so players only get
+ *    one cooldown message
+ *
+ * 2.3.1:
+ *  - add a cooldown of 5 seconds to !help
+ *
+ * 2.3.0:
+ *  - list command aliases
+ *
+ * 2.2.0:
+ *  - hide commands the player is not authorized to use according to
+ *    sav/commands
+ *
+ * 2.1.0:
+ *  - generate usage from argument schemas of sav/commands
+ *
+ * 2.0.1:
+ *  - fix error when a plugin handles the onCommand catch-all event
+ *
  * 2.0.0:
  *  - support object handlers and pick up help text that way by default
  *  - fix problem with roles property where help was incorrectly hidden when
@@ -67,9 +101,9 @@ var room = HBInit();
 room.pluginSpec = {
   name: `sav/help`,
   author: `saviola`,
-  version: `2.0.0`,
+  version: `2.3.2`,
   dependencies: [
-    `sav/commands`,
+    `sav/commands@^1.12`,
   ],
 };
 
@@ -80,6 +114,11 @@ const commandHelpInfo = new Map();
 //
 
 function canPlayerUseCommand(playerId, handlerName, rolesPlugin) {
+  if (!room.getPlugin(`sav/commands`).canPlayerUseHandler(playerId,
+      handlerName)) {
+    return false;
+  }
+
   if (!commandHelpInfo.has(handlerName)) {
     return true;
   }
@@ -129,7 +168,7 @@ function getPluginNamesForCommand(commandParts) {
   const manager = room.getPluginManager();
 
   const handlerNames = manager.getHandlerNames()
-      .filter(h => h.startsWith(`onCommand`));
+      .filter(h => /^onCommand\d*_/.test(h));
 
   let commandHandlerNames = [];
   for (let i = commandParts.length; i > 0; i--) {
@@ -197,22 +236,38 @@ function prepareCommand(command) {
   return command;
 }
 
-//
-// Event handlers
-//
-
 /**
- * General help command, which lists all available commands.
+ * Lists all available commands, for !help without arguments.
  */
-function onCommandHelp0Handler(player) {
+function sendCommandList(player) {
   room.sendAnnouncement(`List of available commands, type `
       + `${getCommandPrefix()}help COMMAND to get help for a specific command:\n`
       + createCommandList(player.id).join(`, `),
       player.id);
 }
 
+//
+// Event handlers
+//
+
+/**
+ * Handler data of the help command, the cooldown keeps players from flooding
+ * the room with help messages.
+ */
+const onCommandHelpData = {
+  'sav/commands': {
+    cooldown: 5,
+  },
+};
+
+/**
+ * Help command, which lists all available commands or shows the help for the
+ * given command.
+ *
+ * Handles !help without arguments as well, so the cooldown applies only once.
+ */
 function onCommandHelpHandler(player, commandParts = []) {
-  if (commandParts.length === 0) return;
+  if (commandParts.length === 0) return sendCommandList(player);
 
   // regular expression output:
   //  0 - full handler name
@@ -225,7 +280,9 @@ function onCommandHelpHandler(player, commandParts = []) {
   let helpText = ``;
 
   // Collect commands (no sub-commands)
-  handlerInfos.filter((handlerInfo) => handlerInfo[2] === undefined)
+  handlerInfos.filter((handlerInfo) => handlerInfo[2] === undefined
+      && room.getPlugin(`sav/commands`).canPlayerUseHandler(player.id,
+          handlerInfo[0]))
       .forEach((handlerInfo) => {
 
     Array.from(commandHelpInfo.get(handlerInfo[0]).entries())
@@ -252,10 +309,17 @@ function onCommandHelpHandler(player, commandParts = []) {
   let subCommands = findSubCommandsForCommand(commandParts, player.id)
       .join(`, `);
 
+  // Aliases
+  let aliases = room.getPlugin(`sav/commands`)
+      .getCommandAliases(commandParts.join(` `))
+      .map((alias) => `${getCommandPrefix()}${alias}`).join(`, `);
+
   if (helpText !== `` || subCommands !== ``) {
     helpText = helpText !== `` ? `Help:\n${helpText}` : `No help available`;
+    aliases = aliases !== `` ? `\nAliases: ${aliases}` : ``;
     subCommands = subCommands !== `` ? `\nSub-commands:\n${subCommands}` : ``;
-    return room.sendAnnouncement(`${helpText}${subCommands}`, player.id);
+    return room.sendAnnouncement(`${helpText}${aliases}${subCommands}`,
+        player.id);
   }
 
   const pluginNames = getPluginNamesForCommand(commandParts);
@@ -272,13 +336,24 @@ function onCommandHelpHandler(player, commandParts = []) {
 }
 
 function onHhmEventHandlerSetHandler({ handler }) {
+  const schema = (handler.data[`sav/commands`] || {}).args;
+
   if (!handler.meta.name.startsWith(`onCommand`)
-      || handler.data[`sav/help`] === undefined) return;
+      || (handler.data[`sav/help`] === undefined && schema === undefined)) {
+    return;
+  }
 
-  const helpData = (typeof handler.data[`sav/help`] !== `object`
+  const helpData = (handler.data[`sav/help`] === undefined ? [{}]
+      : typeof handler.data[`sav/help`] !== `object`
   || handler.data[`sav/help`].constructor !== Array
       ? [handler.data[`sav/help`]] : handler.data[`sav/help`])
-      .map((h) => $.extend({roles: []}, h));
+      .map((h) => $.extend({roles: [], text: ``}, h));
+
+  // Generate usage from the argument schema
+  if (Array.isArray(schema)) {
+    const usage = room.getPlugin(`sav/commands`).getArgumentUsage(schema);
+    helpData.forEach((h) => h.text = usage + h.text);
+  }
 
   if (!commandHelpInfo.has(handler.meta.name)) {
     commandHelpInfo.set(handler.meta.name, new Map());
@@ -302,6 +377,8 @@ room.registerHelp = () => {
     HHM.log.level.WARN);
 }
 
-room.onCommand0_help = onCommandHelp0Handler;
-room.onCommand_help = onCommandHelpHandler;
+room.onCommand_help = {
+  data: onCommandHelpData,
+  function: onCommandHelpHandler,
+};
 room.onHhm_eventHandlerSet = onHhmEventHandlerSetHandler;
@@ -0,0 +1,416 @@
+/**
+ * Plugin to define macros, i.e. named sequences of commands which can be
+ * executed using a single command.
+ *
+ * Provides the following commands:
+ *
+ *  - !macro define NAME COMMANDS [ROLE...]: defines the macro NAME, where
+ *    COMMANDS is a list of commands separated by semicolons, e.g.
+ *    !macro define warmup "!plugin enable sav/rules; !rules". Only players with
+ *    one of the given roles (by default the configured roles) can run the
+ *    macro. An existing macro with the same name is replaced.
+ *  - !macro run NAME [ARGUMENTS...]: runs the given macro, $1, $2, ... in the
+ *    commands are replaced by the given arguments
+ *  - !macro list: lists the macros the player can run
+ *  - !macro delete NAME: deletes the given macro
+ *
+ * Defining and deleting macros requires one of the configured roles.
+ *
+ * The commands of a macro are executed using executeCommand of sav/commands as
+ * the player running the macro, so players can't use macros to execute
+ * commands they are not allowed to use. Commands which require a confirmation
+ * still have to be confirmed using !confirm. Macros can run other macros up to
+ * the configured depth, but not themselves. Each command of a macro counts
+ * towards the rate limit of sav/commands, and the macro stops once the player
+ * exceeds it or maxExecutedCommands commands were run.
+ *
+ * A semicolon can be used within a command by escaping it with a backslash.
+ *
+ * Configuration:
+ *
+ *  - roles: Roles allowed to define and delete macros, also the default roles
+ *    for running them. Defaults to [`host`].
+ *  - maxCommands: Maximum number of commands per macro. Defaults to 10.
+ *  - maxLength: Maximum length of the commands of a macro. Defaults to 500.
+ *  - maxDepth: Maximum depth of macros running other macros. Defaults to 3.
+ *  - maxExecutedCommands: Maximum number of commands run by one !macro run,
+ *    including those of nested macros. Defaults to 20.
+ *
+ * Changelog:
+ *
+ * 1.0.2:
+ *  - limit the number of commands run by one !macro run, including nested
+ *    macros, and count them towards the rate limit of sav/commands
+ *
+ * 1.0.1:
+ *  - store macros in a Map, so names like constructor can't break them
+ *  - ignore invalid macros when restoring
+ *
+ * 1.0.0:
+ *  - initial version
+ */
+
+var room = HBInit();
+
+room.pluginSpec = {
+  name: `sav/macros`,
+  author: `saviola`,
+  version: `1.0.2`,
+  dependencies: [
+    `sav/commands@^1.17`,
+    `sav/help@^2.2`,
+    `sav/roles@^1.3`,
+  ],
+  config: {
+    roles: [`host`],
+    maxCommands: 10,
+    maxLength: 500,
+    maxDepth: 3,
+    maxExecutedCommands: 20,
+  },
+  persistence: {
+    dirtyTracking: true,
+  },
+};
+
+//
+// Global variables
+//
+
+/**
+ * Matches valid macro names.
+ */
+const macroNameRegExp = /^[\w-]{1,20}$/;
+
+/**
+ * Matches argument placeholders in macro commands.
+ */
+const placeholderRegExp = /\$([1-9]\d*)/g;
+
+/**
+ * Maps macro names to macros, { commands, roles, author, timestamp }.
+ */
+const macros = new Map();
+
+/**
+ * Names of the macros currently running, outermost first.
+ */
+const runningMacroNames = [];
+
+/**
+ * Number of commands run by the outermost running macro so far, including
+ * those of nested macros, and whether it was stopped.
+ */
+let executedCommandCount = 0, macroRunStopped = false;
+
+/**
+ * Plugin references, set in onRoomLink.
+ */
+let commands, roles;
+
+//
+// Plugin functions
+//
+
+/**
+ * Returns whether the given player can run the given macro.
+ */
+function canPlayerRunMacro(playerId, macro) {
+  return macro.roles.some((role) => roles.hasPlayerRole(playerId, role));
+}
+
+/**
+ * Returns the number of arguments the given macro requires, i.e. the highest
+ * placeholder number.
+ */
+function getRequiredArgumentCount(macro) {
+  return Math.max(0, ...macro.commands.map((command) =>
+      Math.max(0, ...[...command.matchAll(placeholderRegExp)]
+          .map((match) => parseInt(match[1], 10)))));
+}
+
+/**
+ * Escapes the characters of the given argument which would otherwise be
+ * interpreted by the command parser, so it stays a single argument both inside
+ * and outside of quotes.
+ */
+function escapeArgument(argument) {
+  return argument === `--` ? `"--"` : argument.replace(/[\s"'\\]/g, `\\$&`);
+}
+
+/**
+ * Returns whether the given value is a valid macro.
+ */
+function isValidMacro(macro) {
+  const isStringArray = (value) => Array.isArray(value)
+      && value.every((element) => typeof element === `string`);
+
+  return typeof macro === `object` && macro !== null
+      && isStringArray(macro.commands) && macro.commands.length > 0
+      && isStringArray(macro.roles) && typeof macro.author === `string`
+      && typeof macro.timestamp === `number`;
+}
+
+/**
+ * Splits the given commands string at unescaped semicolons.
+ */
+function splitCommands(commandsString) {
+  return commandsString.split(/(?<!\\);/)
+      .map((command) => command.replace(/\\;/g, `;`).trim())
+      .filter((command) => command.length > 0);
+}
+
+//
+// Event handlers
+//
+
+const onCommandMacroDefineHandlerData = {
+  'sav/commands': {
+    args: [
+      { name: `name`, type: `string` },
+      { name: `commands`, type: `string` },
+      { name: `roles`, type: `string`, rest: true, optional: true },
+    ],
+  },
+  'sav/help': {
+    text: `, define a macro running the given commands separated by `
+        + `semicolons, $1, $2, ... are replaced by the arguments`,
+  },
+};
+
+function onCommandMacroDefineHandler(player, [name, commandsString,
+    macroRoles]) {
+  const playerId = player.id;
+  const { maxCommands, maxLength } = room.getConfig();
+  const macroCommands = splitCommands(commandsString);
+
+  if (!macroNameRegExp.test(name)) {
+    return room.sendAnnouncement(`Invalid macro name ${name}, use up to 20 `
+        + `letters, digits, - and _`, playerId,
+        { prefix: HHM.log.level.ERROR });
+  }
+
+  if (macroCommands.length === 0) {
+    return room.sendAnnouncement(`Macro ${name} contains no commands`,
+        playerId, { prefix: HHM.log.level.ERROR });
+  }
+
+  if (macroCommands.length > maxCommands
+      || commandsString.length > maxLength) {
+    return room.sendAnnouncement(`Macro ${name} is too long, it can contain `
+        + `up to ${maxCommands} commands and ${maxLength} characters`,
+        playerId, { prefix: HHM.log.level.ERROR });
+  }
+
+  const unknownRoles = macroRoles.filter((role) => !roles.hasRole(role));
+
+  if (unknownRoles.length > 0) {
+    return room.sendAnnouncement(`Unknown roles: ${unknownRoles.join(`, `)}`,
+        playerId, { prefix: HHM.log.level.ERROR });
+  }
+
+  macros.set(name, {
+    commands: macroCommands,
+    roles: macroRoles.length > 0 ? macroRoles : room.getConfig().roles.slice(),
+    author: player.name,
+    timestamp: Date.now(),
+  });
+
+  room.markDirty();
+
+  room.sendAnnouncement(`Macro ${name} defined with `
+      + `${macroCommands.length} commands`, playerId);
+}
+
+const onCommandMacroDeleteHandlerData = {
+  'sav/commands': {
+    args: [
+      { name: `name`, type: `string` },
+    ],
+  },
+  'sav/help': {
+    text: `, delete the given macro`,
+  },
+};
+
+function onCommandMacroDeleteHandler(player, [name]) {
+  if (!macros.delete(name)) {
+    return room.sendAnnouncement(`Unknown macro ${name}`, player.id,
+        { prefix: HHM.log.level.ERROR });
+  }
+
+  room.markDirty();
+
+  room.sendAnnouncement(`Macro ${name} deleted`, player.id);
+}
+
+const onCommandMacroList0HandlerData = {
+  'sav/help': {
+    text: `, list the macros you can run`,
+  },
+};
+
+function onCommandMacroList0Handler(player) {
+  const macroNames = [...macros.keys()]
+      .filter((name) => canPlayerRunMacro(player.id, macros.get(name)))
+      .sort();
+
+  if (macroNames.length === 0) {
+    return room.sendAnnouncement(`No macros available`, player.id);
+  }
+
+  room.sendAnnouncement(`Macros:\n` + macroNames
+      .map((name) => `${name}: ${macros.get(name).commands.join(`; `)}`)
+      .join(`\n`), player.id);
+}
+
+const onCommandMacroRunHandlerData = {
+  'sav/commands': {
+    args: [
+      { name: `name`, type: `string` },
+      { name: `arguments`, type: `string`, rest: true, optional: true },
+    ],
+  },
+  'sav/help': {
+    text: `, run the given macro`,
+  },
+};
+
+function onCommandMacroRunHandler(player, [name, macroArguments]) {
+  const playerId = player.id;
+  const macro = macros.get(name);
+
+  if (macro === undefined) {
+    return room.sendAnnouncement(`Unknown macro ${name}`, playerId,
+        { prefix: HHM.log.level.ERROR });
+  }
+
+  if (!roles.ensurePlayerRoles(playerId, macro.roles, room,
+      { feature: `macro ${name}` })) {
+    return;
+  }
+
+  if (runningMacroNames.includes(name)) {
+    return room.sendAnnouncement(`Macro ${name} can't run itself: `
+        + runningMacroNames.concat(name).join(` -> `), playerId,
+        { prefix: HHM.log.level.ERROR });
+  }
+
+  if (runningMacroNames.length >= room.getConfig().maxDepth) {
+    return room.sendAnnouncement(`Macro ${name} not run, too many nested `
+        + `macros: ${runningMacroNames.join(` -> `)}`, playerId,
+        { prefix: HHM.log.level.ERROR });
+  }
+
+  const requiredArgumentCount = getRequiredArgumentCount(macro);
+
+  if (macroArguments.length < requiredArgumentCount) {
+    return room.sendAnnouncement(`Macro ${name} requires `
+        + `${requiredArgumentCount} arguments`, playerId,
+        { prefix: HHM.log.level.ERROR });
+  }
+
+  const { maxExecutedCommands } = room.getConfig();
+
+  if (runningMacroNames.length === 0) {
+    executedCommandCount = 0;
+    macroRunStopped = false;
+  }
+
+  runningMacroNames.push(name);
+
+  try {
+    for (let command of macro.commands.map((command) =>
+        command.replace(placeholderRegExp, (placeholder, number) =>
+            escapeArgument(macroArguments[number - 1])))) {
+      // Stops the macros running this one as well
+      if (macroRunStopped) return;
+
+      if (executedCommandCount >= maxExecutedCommands) {
+        macroRunStopped = true;
+
+        return room.sendAnnouncement(`Macro ${name} stopped, macros can run `
+            + `up to ${maxExecutedCommands} commands at once`, playerId,
+            { prefix: HHM.log.level.ERROR });
+      }
+
+      // The player is informed if the rate limit is exceeded
+      if (!commands.ensureRateLimit(player)) {
+        macroRunStopped = true;
+        return;
+      }
+
+      executedCommandCount++;
+      commands.executeCommand(player, command);
+    }
+  } finally {
+    runningMacroNames.pop();
+  }
+}
+
+function onPersistHandler() {
+  return { macros };
+}
+
+function onRestoreHandler(data) {
+  if (data === undefined || typeof data.macros !== `object`
+      || data.macros === null) {
+    return;
+  }
+
+  // Macros persisted by 1.0.0 are stored in an object
+  const entries = data.macros instanceof Map ? [...data.macros]
+      : Object.entries(data.macros);
+
+  entries.forEach(([name, macro]) => {
+    if (!macroNameRegExp.test(name) || !isValidMacro(macro)) {
+      return room.log(`Ignoring invalid persisted macro ${name}`,
+          HHM.log.level.WARN);
+    }
+
+    macros.set(name, macro);
+  });
+}
+
+function onRoomLinkHandler() {
+  commands = room.getPlugin(`sav/commands`);
+  roles = room.getPlugin(`sav/roles`);
+
+  const macroRoles = room.getConfig().roles;
+
+  macroRoles.filter((role) => !roles.hasRole(role)).forEach((role) =>
+      room.log(`The "${role}" role does not exist, players can't get it to `
+          + `define macros`, HHM.log.level.WARN));
+
+  // The roles are only known after the config has been loaded
+  onCommandMacroDefineHandlerData[`sav/commands`].roles = macroRoles;
+  onCommandMacroDeleteHandlerData[`sav/commands`].roles = macroRoles;
+
+  room.onCommand_macro_define = {
+    function: onCommandMacroDefineHandler,
+    data: onCommandMacroDefineHandlerData,
+  };
+
+  room.onCommand_macro_delete = {
+    function: onCommandMacroDeleteHandler,
+    data: onCommandMacroDeleteHandlerData,
+  };
+}
+
+//
+// Exports
+//
+
+room.onCommand0_macro_list = {
+  function: onCommandMacroList0Handler,
+  data: onCommandMacroList0HandlerData,
+};
+
+room.onCommand_macro_run = {
+  function: onCommandMacroRunHandler,
+  data: onCommandMacroRunHandlerData,
+};
+
+room.onPersist = onPersistHandler;
+room.onRestore = onRestoreHandler;
+room.onRoomLink = onRoomLinkHandler;
@@ -0,0 +1,204 @@
+/**
+ * Plugin to control the persistence from within the room.
+ *
+ * Provides the following commands, which require the `host` role:
+ *
+ *  - !persist now: persists the data of all enabled plugins immediately
+ *  - !persist status: shows the last snapshot, the size of the persisted data
+ *    per plugin and the last failures
+ *  - !persist clear PLUGIN: removes the persisted data of the given plugin,
+ *    which has to be confirmed using !confirm
+ *
+ * To move the persisted data to another room, use room.exportPersistence()
+ * and room.importPersistence(bundle) of hhm/persistence.
+ *
+ * Changelog:
+ *
+ * 1.1.0:
+ *  - declare the required role in the handler data of sav/commands
+ *  - require confirmation for !persist clear
+ *
+ * 1.0.0:
+ *  - initial version
+ */
+
+var room = HBInit();
+
+room.pluginSpec = {
+  name: `sav/persistence-control`,
+  author: `saviola`,
+  version: `1.1.0`,
+  dependencies: [
+    `hhm/persistence@^2.5`,
+    `sav/commands@^1.15`,
+    `sav/help@^2.1`,
+    `sav/roles@^1.3`,
+  ],
+};
+
+//
+// Global variables
+//
+
+/**
+ * Plugin references, set in onRoomLink.
+ */
+let persistence, roles;
+
+//
+// Plugin functions
+//
+
+/**
+ * Formats the time which has passed since the given timestamp for display.
+ */
+function formatAge(timestamp) {
+  if (timestamp === undefined) return `never`;
+
+  const seconds = Math.round((Date.now() - timestamp) / 1000);
+
+  if (seconds < 120) return `${seconds}s ago`;
+
+  return `${Math.round(seconds / 60)}min ago`;
+}
+
+/**
+ * Formats the given size in bytes for display.
+ */
+function formatSize(size) {
+  return size < 1024 ? `${size} B` : `${(size / 1024).toFixed(1)} KB`;
+}
+
+//
+// Event handlers
+//
+
+const onCommandPersistNow0HandlerData = {
+  'sav/commands': {
+    roles: [`host`],
+  },
+  'sav/help': {
+    text: `, persist the data of all enabled plugins now`,
+  },
+};
+
+async function onCommandPersistNow0Handler(player) {
+  const playerId = player.id;
+
+  if (await persistence.persistAllPluginData()) {
+    const { lastSnapshot } = persistence.getPersistenceStatus();
+    room.sendAnnouncement(`Plugin data persisted in snapshot `
+        + `${lastSnapshot.id}`, playerId);
+  } else {
+    room.sendAnnouncement(`Failed to persist plugin data, check console `
+        + `output`, playerId, { prefix: HHM.log.level.ERROR });
+  }
+}
+
+const onCommandPersistStatus0HandlerData = {
+  'sav/commands': {
+    roles: [`host`],
+  },
+  'sav/help': {
+    text: `, show the last persistence run, data size per plugin and failures`,
+  },
+};
+
+function onCommandPersistStatus0Handler(player) {
+  const playerId = player.id;
+
+  const { lastSnapshot, snapshotIds, plugins, failures } =
+      persistence.getPersistenceStatus();
+
+  room.sendAnnouncement(lastSnapshot === undefined
+      ? `No snapshot written since the room was started, `
+          + `${snapshotIds.length} snapshots stored`
+      : `Last snapshot ${lastSnapshot.id} written `
+          + `${formatAge(lastSnapshot.timestamp)}, `
+          + `${snapshotIds.length} snapshots stored`, playerId);
+
+  const pluginNames = Object.getOwnPropertyNames(plugins).sort();
+
+  if (pluginNames.length > 0) {
+    room.sendAnnouncement(`Persisted plugins: ` + pluginNames
+        .map((pluginName) => `${pluginName} `
+            + `(${formatSize(plugins[pluginName].size)}`
+            + `${plugins[pluginName].preserved ? `, preserved` : ``})`)
+        .join(`, `), playerId);
+  }
+
+  failures.forEach(({ pluginName, timestamp, message }) =>
+      room.sendAnnouncement(`${pluginName === undefined ? `Snapshot`
+          : pluginName} failed ${formatAge(timestamp)}: ${message}`,
+          playerId, { prefix: HHM.log.level.ERROR }));
+}
+
+const onCommandPersistClearHandlerData = {
+  'sav/commands': {
+    roles: [`host`],
+    confirm: true,
+    args: [
+      { name: `plugin`, type: `string` },
+    ],
+  },
+  'sav/help': {
+    text: `, remove the persisted data of the given plugin`,
+  },
+};
+
+async function onCommandPersistClearHandler(player, [pluginName]) {
+  const playerId = player.id;
+
+  if (!persistence.getPersistenceStatus().plugins.hasOwnProperty(pluginName)) {
+    return room.sendAnnouncement(`No persisted data for plugin ${pluginName}`,
+        playerId, { prefix: HHM.log.level.ERROR });
+  }
+
+  if (!await persistence.clearPluginData(pluginName)) {
+    return room.sendAnnouncement(`Failed to clear persisted data of plugin `
+        + `${pluginName}, check console output`, playerId,
+        { prefix: HHM.log.level.ERROR });
+  }
+
+  room.sendAnnouncement(`Persisted data of plugin ${pluginName} cleared`,
+      playerId);
+
+  const manager = room.getPluginManager();
+  const pluginId = manager.getPluginId(pluginName);
+
+  if (pluginId !== -1 && manager.getPlugin(pluginId).isEnabled()) {
+    room.sendAnnouncement(`Plugin ${pluginName} is enabled, its data will be `
+        + `persisted again in the next persistence cycle`, playerId);
+  }
+}
+
+function onRoomLinkHandler() {
+  persistence = room.getPlugin(`hhm/persistence`);
+  roles = room.getPlugin(`sav/roles`);
+
+  if (!roles.hasRole(`host`)) {
+    room.log(`The "host" role does not exist, the commands of this plugin `
+        + `will be unavailable`, HHM.log.level.WARN);
+  }
+}
+
+//
+// Exports
+//
+
+room.onCommand0_persist_now = {
+  function: onCommandPersistNow0Handler,
+  data: onCommandPersistNow0HandlerData,
+};
+
+room.onCommand0_persist_status = {
+  function: onCommandPersistStatus0Handler,
+  data: onCommandPersistStatus0HandlerData,
+};
+
+room.onCommand_persist_clear = {
+  function: onCommandPersistClearHandler,
+  data: onCommandPersistClearHandlerData,
+};
+
+room.onRoomLink = onRoomLinkHandler;
@@ -11,6 +11,9 @@
  *  - changing the team of a player
  *  - kicking a player
  *
+ * If the action queue of hhm/core is enabled, the native calls themselves are
+ * throttled by it, so they may take effect in the room with a delay.
+ *
  * Additionally, the plugin extends the following native API functions:
  *
  *  - getPlayer(playerId, { offlinePlayers = false }): returns a player object
@@ -30,9 +33,67 @@
  *  - getUserData: returns user data for a given plugin
  *  - hasPlayer: returns whether the player with the given ID exists (they don't
  *    have to be in the room though)
+ *  - pruneUsers: applies the retention policy, see below
+ *  - resolvePlayer(reference, { offlinePlayers = false }): resolves a
+ *    reference typed by a user to a player, see below
+ *
+ * Player references:
+ *
+ * resolvePlayer accepts the following references, in this order:
+ *
+ *  - #ID: the player with the given ID
+ *  - auth: the most recent player with the given auth
+ *  - @mention: like a name, but underscores are interpreted as spaces
+ *  - exact name, case-sensitive first, then case-insensitive
+ *  - unique name prefix, case-insensitive
+ *
+ * It returns an object { player, candidates }, where player is null if the
+ * reference could not be resolved unambiguously. If it is ambiguous,
+ * candidates contains the matching players, one per auth. Players with the
+ * same auth are considered the same user, the most recent one is used.
+ *
+ * Retention:
+ *
+ * Users who have not been seen for userRetentionDays are removed together with
+ * their offline players, including the user data of other plugins stored using
+ * the getters created by buildUserPluginDataGetter. The names and conns stored
+ * per user can be limited to the most recently used maxNamesPerUser and
+ * maxConnsPerUser. Pruning runs every pruneIntervalMinutes and when the room
+ * is linked. If anything was removed, this is logged and the event
+ * onUsersPruned({ auths, conns, playerIds }) is triggered, so plugins keeping
+ * their own data by auth, conn or player ID can remove it as well. conns only
+ * contains connections no longer associated with any remaining user.
+ *
+ * Configuration:
+ *
+ *  - ghostKick: Whether to kick players with the same auth and name as a
+ *    joining player. Defaults to true.
+ *  - userRetentionDays: Number of days after which users who have not been
+ *    seen are removed, 0 keeps them forever. Defaults to 0.
+ *  - maxNamesPerUser: Maximum number of names stored per user, 0 for no limit.
+ *    Defaults to 0.
+ *  - maxConnsPerUser: Maximum number of conns stored per user, 0 for no limit.
+ *    Defaults to 0.
+ *  - pruneIntervalMinutes: Interval between pruning runs, 0 only prunes when
+ *    the room is linked. Defaults to 60.
  *
  * Changelog:
  *
+ * 1.5.1:
+ *  - fix resolvePlayer treating all players without auth as the same user
+ *
+ * 1.5.0:
+ *  - add resolvePlayer function
+ *  - fix getPlayersByAuth, which failed for every call
+ *
+ * 1.4.0:
+ *  - add retention policy for users, names and conns with scheduled pruning
+ *  - add onUsersPruned event and pruneUsers function
+ *  - names and conns of users are ordered by most recent use
+ *
+ * 1.3.4:
+ *  - use delta persistence so only changed users are written
+ *
  * 1.3.3:
  *  - support noPlayer option
  *
@@ -85,8 +146,6 @@
  *  - extends getPlayer() and getPlayerList() functions
  *  - allows access to users not in the room
  *  - fully backwards compatible
- *
- * TODO config documentation
  */
 
 var room = HBInit();
@@ -94,10 +153,17 @@ var room = HBInit();
 room.pluginSpec = {
   name: `sav/players`,
   author: `saviola`,
-  version: `1.3.3`,
+  version: `1.5.1`,
   config: {
     ghostKick: true,
-  }
+    userRetentionDays: 0,
+    maxNamesPerUser: 0,
+    maxConnsPerUser: 0,
+    pruneIntervalMinutes: 60,
+  },
+  persistence: {
+    delta: true,
+  },
 };
 
 //
@@ -138,7 +204,7 @@ const playersById = {};
 /**
  * Initialized in onRoomLinkHandler.
  */
-let getPlayerNative;
+let getPlayerNative, pruneInterval;
 
 //
 // Plugin functions
@@ -289,8 +355,9 @@ function getPlayerById(playerId, defaultValue = undefined) {
  * TODO documentation
  */
 function getPlayersByAuth(auth, { offlinePlayers = false } = {}) {
-  return playersById.filter((p) => p.auth === auth)
-      .map((p) => room.getPlayer(p.id, { offlinePlayers }));
+  return Object.values(playersById).filter((p) => p.auth === auth)
+      .map((p) => room.getPlayer(p.id, { offlinePlayers }))
+      .filter((p) => p !== null);
 }
 
 /**
@@ -360,6 +427,163 @@ function getPlayerList({ previousFunction }, { offlinePlayers = false } = {}) {
         .filter((p) => p !== null);
 }
 
+/**
+ * Removes the oldest elements of the given set until it contains at most
+ * maxSize elements, maxSize 0 means no limit.
+ *
+ * Sets keep their insertion order, so the oldest elements are those which
+ * were added first.
+ *
+ * @returns Array of removed elements.
+ */
+function limitSetSize(set, maxSize) {
+  if (!(maxSize > 0) || set.size <= maxSize) return [];
+
+  const removedElements = [...set].slice(0, set.size - maxSize);
+  removedElements.forEach((element) => set.delete(element));
+
+  return removedElements;
+}
+
+/**
+ * Applies the retention policy: removes users who have not been seen for
+ * userRetentionDays along with their offline players, and limits the names
+ * and conns stored per user.
+ *
+ * @returns Object { auths, conns, playerIds } containing what was removed.
+ */
+function pruneUsers() {
+  const { userRetentionDays, maxNamesPerUser, maxConnsPerUser } =
+      room.getConfig();
+  const cutoff = Date.now() - userRetentionDays * 24 * 60 * 60 * 1000;
+
+  const auths = [];
+  const candidateConns = new Set();
+
+  for (let auth of Object.getOwnPropertyNames(userDataByAuth)) {
+    const userData = getUserData(auth);
+    const seen = new Date(userData.seen).getTime();
+
+    if (userRetentionDays > 0 && seen < cutoff && !isUserOnline(auth)) {
+      userData.conns.forEach((conn) => candidateConns.add(conn));
+      delete userDataByAuth[auth];
+      auths.push(auth);
+      continue;
+    }
+
+    limitSetSize(userData.names, maxNamesPerUser);
+    limitSetSize(userData.conns, maxConnsPerUser)
+        .forEach((conn) => candidateConns.add(conn));
+  }
+
+  const playerIds = Object.getOwnPropertyNames(idToAuth)
+      .filter((id) => userDataByAuth[idToAuth[id]] === undefined
+          && (!hasPlayer(id) || !isPlayerOnline(id)));
+
+  for (let id of playerIds) {
+    const player = getPlayerById(id);
+
+    if (player !== undefined && playersByConn[player.conn] !== undefined) {
+      playersByConn[player.conn].delete(player.id);
+    }
+
+    delete playersById[id];
+    delete idToAuth[id];
+  }
+
+  // Only report conns which are no longer used by any remaining user
+  Object.getOwnPropertyNames(userDataByAuth).forEach((auth) =>
+      getUserData(auth).conns.forEach((conn) => candidateConns.delete(conn)));
+  const conns = [...candidateConns];
+
+  conns.filter((conn) => playersByConn[conn] !== undefined
+      && playersByConn[conn].size === 0)
+      .forEach((conn) => delete playersByConn[conn]);
+
+  if (auths.length > 0 || conns.length > 0 || playerIds.length > 0) {
+    room.log(`Pruned ${auths.length} users, ${playerIds.length} players and `
+        + `${conns.length} conns`, HHM.log.level.INFO);
+    room.triggerEvent(`onUsersPruned`, { auths, conns, playerIds });
+  }
+
+  return { auths, conns, playerIds };
+}
+
+/**
+ * Resolves the given player reference typed by a user, see the plugin
+ * documentation for the supported references.
+ * @returns Object { player, candidates }, player is null unless exactly one
+ *  player matches.
+ */
+function resolvePlayer(reference, { offlinePlayers = false } = {}) {
+  reference = String(reference).trim();
+
+  const result = (candidates) => {
+    // Only keep the most recent player per auth, players without auth are
+    // different users
+    const auths = new Set();
+
+    candidates = candidates.filter((p) => {
+      if (p.auth === undefined || p.auth === null) return true;
+      if (auths.has(p.auth)) return false;
+
+      auths.add(p.auth);
+
+      return true;
+    }).map((p) => p.auth === undefined || p.auth === null ? p
+        : findMostRecentPlayerByAuth(p.auth, { offlinePlayers }))
+        .filter((p) => p !== undefined);
+
+    return { player: candidates.length === 1 ? candidates[0] : null,
+      candidates };
+  };
+
+  const idMatch = /^#(\d+)$/.exec(reference);
+
+  if (idMatch !== null) {
+    const player = room.getPlayer(parseInt(idMatch[1], 10), { offlinePlayers });
+
+    return { player, candidates: player === null ? [] : [player] };
+  }
+
+  if (reference.length === 0) {
+    return { player: null, candidates: [] };
+  }
+
+  const players = room.getPlayerList({ offlinePlayers });
+
+  if (userDataByAuth[reference] !== undefined) {
+    const authPlayers = players.filter((p) => p.auth === reference);
+
+    if (authPlayers.length > 0) return result(authPlayers);
+  }
+
+  const name = reference.startsWith(`@`)
+      ? reference.substr(1).replace(/_/g, ` `) : reference;
+  const lowerCaseName = name.toLowerCase();
+
+  for (let matches of [
+    (p) => p.name === name,
+    (p) => p.name.toLowerCase() === lowerCaseName,
+    (p) => p.name.toLowerCase().startsWith(lowerCaseName),
+  ]) {
+    const candidates = players.filter(matches);
+
+    if (candidates.length > 0) return result(candidates);
+  }
+
+  return { player: null, candidates: [] };
+}
+
+/**
+ * Moves the given element to the end of the given set, which marks it as the
+ * most recently used element.
+ */
+function touchSetElement(set, element) {
+  set.delete(element);
+  set.add(element);
+}
+
 /**
  * TODO documentation
  */
@@ -441,8 +665,8 @@ function onPlayerJoinPreEventHook({}, player) {
 
   const userData = getUserData(player.auth);
   userData.ids.add(player.id);
-  userData.conns.add(player.conn);
-  userData.names.add(player.name);
+  touchSetElement(userData.conns, player.conn);
+  touchSetElement(userData.names, player.name);
   userData.seen = new Date();
 
   if (playersByConn[player.conn] === undefined) {
@@ -556,6 +780,13 @@ function onRoomLinkHandler() {
     playersByConn[hostPlayer.conn] = new Set().add(hostPlayer.auth);
     idToAuth[0] = hostPlayer.auth;
   }
+
+  pruneUsers();
+
+  if (room.getConfig(`pruneIntervalMinutes`) > 0) {
+    pruneInterval = setInterval(() => pruneUsers(),
+        room.getConfig(`pruneIntervalMinutes`) * 60 * 1000);
+  }
 }
 
 //
@@ -574,6 +805,8 @@ room.getUserAuths = getUserAuths;
 room.hasPlayer = hasPlayer;
 room.isPlayerOnline = isPlayerOnline;
 room.isUserOnline = isUserOnline;
+room.pruneUsers = pruneUsers;
+room.resolvePlayer = resolvePlayer;
 
 room.onPersist = onPersistHandler;
 room.onRestore = onRestoreHandler;
@@ -7,6 +7,16 @@
  *
  * Changelog:
  *
+ * 1.1.7:
+ *  - declare the required host role in the handler data of sav/commands
+ *  - require confirmation for disabling plugins and unsafe reloads
+ *
+ * 1.1.6:
+ *  - declare the arguments of !plugin load using an argument schema
+ *
+ * 1.1.5:
+ *  - require sav/help 2.x and sav/roles 1.3 or later
+ *
  * 1.1.4:
  *  - adjust to sav/help version 2.0.0
  *  - add more help texts
@@ -46,10 +56,11 @@ var room = HBInit();
 room.pluginSpec = {
   name: `sav/plugin-control`,
   author: `saviola`,
-  version: `1.1.4`,
+  version: `1.1.7`,
   dependencies: [
-    `sav/help`,
-    `sav/roles`,
+    `sav/commands@^1.15`,
+    `sav/help@^2.1`,
+    `sav/roles@^1.3`,
   ],
 };
 
@@ -105,33 +116,31 @@ function onCommandPluginListHandler(player, [filter = ``] = []) {
 }
 
 const onCommandPluginLoadHandlerData = {
-  'sav/help': {
-    text: ` NAME URL, at least one of NAME or URL must be specified.`,
+  'sav/commands': {
     roles: [`host`],
+    args: [
+      { name: `name`, type: `string` },
+      { name: `url`, type: `string`, optional: true },
+    ],
+  },
+  'sav/help': {
+    text: `, load a plugin by NAME, by URL, or both. A single argument `
+        + `starting with http is used as URL.`,
   },
 };
 
-async function onCommandPluginLoadHandler(player, arguments) {
+async function onCommandPluginLoadHandler(player, [name, url]) {
   const playerId = player.id;
 
-  if (!roles.ensurePlayerRoles(playerId, `host`, room,
-      { feature: `plugin load` })) {
-    return;
-  }
-
-  if (arguments.length === 0) {
-    return help.displayHelp(playerId, `plugin load`);
-  }
-
   let pluginName, pluginUrl;
 
-  if (arguments.length > 1) {
-    pluginName = arguments[0];
-    pluginUrl = arguments[1];
-  } else if (arguments[0].startsWith(`http`)) {
-    pluginUrl = arguments[0];
+  if (url !== undefined) {
+    pluginName = name;
+    pluginUrl = url;
+  } else if (name.startsWith(`http`)) {
+    pluginUrl = name;
   } else {
-    pluginName = arguments[0];
+    pluginName = name;
   }
 
   const manager = room.getPluginManager();
@@ -147,14 +156,16 @@ async function onCommandPluginLoadHandler(player, arguments) {
 }
 
 const onCommandPluginReloadHandlerData = {
+  'sav/commands': {
+    roles: [`host`],
+    confirm: ([, unsafe] = []) => !!unsafe,
+  },
   'sav/help': [
     {
       text: ` NAME, reload the given plugin safely`,
-      roles: [`host`],
     },
     {
       text: ` NAME 1, reload the given plugin unsafely`,
-      roles: [`host`],
     },
   ],
 };
@@ -163,11 +174,6 @@ async function onCommandPluginReloadHandler(player, [pluginName, unsafe] = []) {
   const playerId = player.id;
   const safe = !unsafe;
 
-  if (!roles.ensurePlayerRoles(playerId, `host`, room,
-      { feature: `plugin reload` })) {
-    return;
-  }
-
   if (arguments.length === 0) {
     return help.displayHelp(playerId, `plugin reload`);
   }
@@ -186,20 +192,18 @@ async function onCommandPluginReloadHandler(player, [pluginName, unsafe] = []) {
 }
 
 const onCommandPluginDisable1HandlerData = {
+  'sav/commands': {
+    roles: [`host`],
+    confirm: true,
+  },
   'sav/help': {
-      text: ` NAME`,
-      roles: [`host`],
-    },
+    text: ` NAME`,
+  },
 };
 
 function onCommandPluginDisable1Handler(player, [pluginName] = []) {
   const playerId = player.id;
 
-  if (!roles.ensurePlayerRoles(playerId, `host`, room,
-      { feature: `plugin disable` })) {
-    return;
-  }
-
   if (pluginName === undefined) {
     return help.displayHelp(playerId, `plugin disable`);
   }
@@ -221,20 +225,17 @@ function onCommandPluginDisable1Handler(player, [pluginName] = []) {
 }
 
 const onCommandPluginEnable1HandlerData = {
+  'sav/commands': {
+    roles: [`host`],
+  },
   'sav/help': {
     text: ` NAME`,
-    roles: [`host`],
   },
 };
 
 function onCommandPluginEnable1Handler(player, [pluginName] = []) {
   const playerId = player.id;
 
-  if (!roles.ensurePlayerRoles(playerId, `host`, room,
-      { feature: `plugin enable` })) {
-    return;
-  }
-
   if (pluginName === undefined) {
     return help.displayHelp(playerId, `plugin enable`);
   }
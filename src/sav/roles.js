@@ -21,7 +21,11 @@
  *      defaultRole: `user`,
  * },
  *
- * Roles with empty passwords cannot be acquired using !auth.
+ * Roles with empty passwords cannot be acquired using !auth. Passwords
+ * containing spaces have to be quoted, e.g. !auth admin "some pw".
+ *
+ * The roles config is marked as sensitive, so the passwords are not persisted
+ * in plain text (see hhm/persistence).
  *
  * Exported functions:
  *
@@ -48,6 +52,23 @@
  *
  * Changelog:
  *
+ * 1.3.6:
+ *  - add a cooldown of 5 seconds to !auth
+ *
+ * 1.3.5:
+ *  - mask the password of !auth in the command log of sav/commands
+ *
+ * 1.3.4:
+ *  - declare the arguments of !auth using an argument schema, which also fixes
+ *    the missing help text
+ *
+ * 1.3.3:
+ *  - use the arguments parsed by sav/commands for !auth, which supports quoted
+ *    passwords
+ *
+ * 1.3.2:
+ *  - mark roles config as sensitive
+ *
  * 1.3.1:
  *  - adjust to sav/help 2.0 API
  *
@@ -86,9 +107,9 @@ var room = HBInit();
 room.pluginSpec = {
   name: `sav/roles`,
   author: `saviola`,
-  version: `1.3.1`,
+  version: `1.3.6`,
   dependencies: [
-    `sav/commands`,
+    `sav/commands@^1.14`,
     `sav/help`,
     `sav/players`
   ],
@@ -98,6 +119,9 @@ room.pluginSpec = {
     persistentRoles: true, // TODO document
     printAuthEventsToRoom: false, // TODO document
   },
+  sensitiveConfigKeys: [
+    `roles`,
+  ],
 };
 
 //
@@ -408,28 +432,28 @@ function triggerAuthenticationEvents(playerId, auth, role, userRole = false,
 //
 
 const onCommandAuthData = {
-  'sav/chat': {
-    text: ` ROLE PASSWORD`,
-  }
-}
+  'sav/commands': {
+    args: [
+      { name: `role`, type: `string` },
+      { name: `password`, type: `string` },
+    ],
+    sensitiveArgs: [1],
+    // Slows down guessing passwords
+    cooldown: 5,
+  },
+  'sav/help': {
+    text: `, authenticate for the given role`,
+  },
+};
 
 /**
- * TODO documentation
+ * Authenticates the player for the given role if the password is correct.
  */
-function onCommandAuthHandler(player, arguments, argumentString, message) {
+function onCommandAuthHandler(player, [role, password]) {
 
   const roles = room.getConfig().roles;
   const playerId = player.id;
 
-  if (arguments.length < 2) {
-    room.getPlugin(`sav/help`).displayHelp(playerId, `auth`);
-    return false;
-  }
-
-  const role = arguments[0];
-  const password =
-      room.getPlugin(`sav/commands`).parseMessage(message, 2).arguments[1];
-
   if (roles.hasOwnProperty(role) && roles[role] === password
       && roles[role] !== ``) {
     room.addPlayerRole(playerId, role, room.getConfig().persistentRoles);
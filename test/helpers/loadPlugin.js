@@ -0,0 +1,65 @@
+/**
+ * Loads a plugin file into a sandbox with a minimal fake room, for testing
+ * plugins without a running HHM.
+ *
+ * The fake room provides log, extend, getConfig and triggerEvent, the latter
+ * records the triggered events in room.triggeredEvents. Further room
+ * properties can be passed using the second parameter. The persistence
+ * scheduler and other intervals are not started.
+ */
+const fs = require(`fs`);
+const path = require(`path`);
+const vm = require(`vm`);
+
+const srcDirectory = path.join(__dirname, `..`, `..`, `src`);
+
+function loadPlugin(pluginName, roomProperties = {}) {
+  const room = Object.assign({
+    logs: [],
+    triggeredEvents: [],
+    log(message, level) {
+      this.logs.push({ message, level });
+    },
+    extend(name, fn) {
+      const previousFunction = this[name];
+
+      this[name] = (...args) =>
+          fn({ previousFunction, callingPluginName: `test` }, ...args);
+    },
+    getConfig(key) {
+      const config = this.pluginSpec.config || {};
+
+      return key === undefined ? config : config[key];
+    },
+    triggerEvent(eventName, ...args) {
+      this.triggeredEvents.push({ eventName, args });
+    },
+  }, roomProperties);
+
+  const context = vm.createContext({
+    HBInit: () => room,
+    HHM: {
+      log: { level: { ERROR: `error`, WARN: `warn`, INFO: `info` } },
+      config: { room: {} },
+    },
+    $: { extend: (...objects) => Object.assign(...objects) },
+    console,
+    crypto: globalThis.crypto,
+    performance,
+    setInterval: () => 0,
+    clearInterval: () => {},
+    setTimeout,
+    clearTimeout,
+    TextEncoder,
+    TextDecoder,
+    atob,
+    btoa,
+  });
+
+  vm.runInContext(fs.readFileSync(path.join(srcDirectory, `${pluginName}.js`),
+      `utf8`), context, { filename: `${pluginName}.js` });
+
+  return room;
+}
+
+module.exports = loadPlugin;
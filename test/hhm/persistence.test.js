@@ -0,0 +1,128 @@
+const assert = require(`assert/strict`);
+const { beforeEach, describe, it } = require(`node:test`);
+
+const loadPlugin = require(`../helpers/loadPlugin`);
+
+/**
+ * Loads hhm/core without a room link, for guarding handlers.
+ */
+function loadCore() {
+  return loadPlugin(`hhm/core`, {
+    getPlayerList: () => [],
+    getPlugin: () => undefined,
+    sendAnnouncement: () => {},
+  });
+}
+
+/**
+ * Loads hhm/persistence with an in-memory storage.
+ */
+async function loadPersistence() {
+  const core = loadCore();
+
+  const room = loadPlugin(`hhm/persistence`, {
+    getPlugin: (name) => name === `hhm/core` ? core : undefined,
+    getPluginManager: () => ({ getEnabledPluginIds: () => [] }),
+  });
+
+  room.pluginSpec.config.storageBackend = `memory`;
+  await room.onRoomLink();
+
+  return room;
+}
+
+/**
+ * Creates a plugin whose onPersist handler is wrapped in the handler guard of
+ * hhm/core, like in HHM.
+ */
+function createPlugin(name, onPersist) {
+  const handler = { meta: { name: `onPersist`,
+    plugin: { getName: () => name } }, function: onPersist };
+
+  loadCore().onHhm_eventHandlerSet({ handler });
+
+  return { _name: name, hasName: () => true, pluginSpec: { name },
+    onPersist: handler.function };
+}
+
+async function restorePluginData(room, name) {
+  let restoredData;
+
+  await room.onHhm_beforePluginLoaded({ plugin: { _name: name,
+    hasName: () => true, pluginSpec: { name },
+    onRestore: (data) => restoredData = data } });
+
+  // Objects created within the sandbox have prototypes of another realm
+  return restoredData === undefined ? undefined
+      : JSON.parse(JSON.stringify(restoredData));
+}
+
+function getFailedPluginNames(room) {
+  return room.triggeredEvents
+      .filter(({ eventName }) => eventName === `onPersistFailed`)
+      .map(({ args: [{ pluginName }] }) => pluginName);
+}
+
+describe(`onPersist failures`, () => {
+  let room;
+
+  beforeEach(async () => {
+    room = await loadPersistence();
+
+    await room.persistPluginData(createPlugin(`aut/plugin`,
+        () => ({ value: 1 })));
+  });
+
+  it(`keeps the previous data if onPersist throws`, async () => {
+    await room.persistPluginData(createPlugin(`aut/plugin`, () => {
+      throw new Error(`onPersist failed`);
+    }));
+
+    assert.deepEqual(getFailedPluginNames(room), [`aut/plugin`]);
+    assert.deepEqual(await restorePluginData(room, `aut/plugin`),
+        { value: 1 });
+  });
+
+  it(`keeps the previous data if onPersist rejects`, async () => {
+    await room.persistPluginData(createPlugin(`aut/plugin`,
+        async () => Promise.reject(new Error(`onPersist failed`))));
+
+    assert.deepEqual(getFailedPluginNames(room), [`aut/plugin`]);
+    assert.deepEqual(await restorePluginData(room, `aut/plugin`),
+        { value: 1 });
+  });
+
+  it(`persists undefined if onPersist returns it without failing`,
+      async () => {
+        await room.persistPluginData(createPlugin(`aut/plugin`,
+            () => undefined));
+
+        assert.deepEqual(getFailedPluginNames(room), []);
+        assert.equal(await restorePluginData(room, `aut/plugin`), undefined);
+      });
+});
+
+describe(`onRestore failures`, () => {
+  let room;
+
+  beforeEach(async () => {
+    room = await loadPersistence();
+
+    await room.persistPluginData(createPlugin(`aut/plugin`,
+        () => ({ value: 1 })));
+  });
+
+  it(`keeps the persisted data if onRestore throws`, async () => {
+    await room.onHhm_beforePluginLoaded({ plugin: { _name: `aut/plugin`,
+      hasName: () => true, pluginSpec: { name: `aut/plugin` },
+      onRestore: () => {
+        throw new Error(`onRestore failed`);
+      } } });
+
+    await room.persistPluginData(createPlugin(`aut/plugin`,
+        () => ({ value: 2 })));
+
+    assert.deepEqual(await restorePluginData(room, `aut/plugin`),
+        { value: 1 });
+  });
+});
@@ -0,0 +1,130 @@
+const assert = require(`assert/strict`);
+const { beforeEach, describe, it } = require(`node:test`);
+
+const loadPlugin = require(`../helpers/loadPlugin`);
+
+/**
+ * Loads sav/commands with a fake plugin manager which, like HHM, triggers
+ * onHhm_eventHandlerSet when a handler of a loaded plugin is set. The handlers
+ * sav/commands sets while loading do not trigger it. Further handlers can be
+ * added to the given handlers map.
+ */
+function loadCommands(players, handlers = new Map()) {
+  const announcements = [];
+
+  const room = loadPlugin(`sav/commands`, {
+    getPlayer: (playerId) => players.find(({ id }) => id === playerId) || null,
+    getPlugin: () => undefined,
+    markDirty: () => {},
+    sendAnnouncement: (message, playerId) =>
+        announcements.push({ message, playerId }),
+    triggerEvent: (eventName, ...args) => handlers.has(eventName)
+        ? handlers.get(eventName).function(...args) : undefined,
+  });
+
+  const plugin = {
+    getHandlerNames: () => Object.getOwnPropertyNames(room)
+        .filter((name) => /^on[A-Z0-9]/.test(name)),
+    getId: () => 0,
+    isEnabled: () => true,
+    getName: () => `sav/commands`,
+  };
+
+  plugin.getHandlerNames().forEach((name) => {
+    handlers.set(name, { meta: { name, plugin }, data: room[name].data,
+      function: room[name].function || room[name] });
+
+    Object.defineProperty(plugin, name, {
+      get: () => room[name],
+      set: (value) => {
+        const handler = { meta: { name, plugin }, data: value.data || {},
+          function: value.function || value };
+
+        room[name] = value;
+        handlers.set(name, handler);
+        room.onHhm_eventHandlerSet({ handler });
+      },
+    });
+  });
+
+  room.getPluginManager = () => ({
+    getHandlerNames: () => [...handlers.keys()],
+    getLoadedPluginIds: () => [0],
+    getPlugin: () => plugin,
+  });
+
+  return { room, announcements };
+}
+
+describe(`handlers set before sav/commands was loaded`, () => {
+  const players = [
+    { id: 0, name: `host`, admin: true },
+    { id: 1, name: `player`, admin: false },
+  ];
+  let room, announcements;
+
+  beforeEach(() => {
+    ({ room, announcements } = loadCommands(players));
+    room.onRoomLink();
+  });
+
+  it(`rejects !history of players without the host role`, () => {
+    room.onPlayerChat(players[1], `!history`, {});
+
+    assert.match(announcements.map(({ message }) => message).join(`\n`),
+        /Access denied for history/);
+  });
+
+  it(`allows !history of players with the host role`, () => {
+    room.onPlayerChat(players[0], `!history`, {});
+
+    assert.doesNotMatch(announcements.map(({ message }) => message)
+        .join(`\n`), /Access denied/);
+  });
+});
+
+describe(`unknown commands`, () => {
+  const players = [{ id: 1, name: `player`, admin: false }];
+  let room, announcements, handlers;
+
+  beforeEach(() => {
+    handlers = new Map();
+    ({ room, announcements } = loadCommands(players, handlers));
+    room.onRoomLink();
+  });
+
+  it(`displays unknown commands and informs the player`, () => {
+    assert.equal(room.onPlayerChat(players[0], `!unknown`, {}), true);
+    assert.match(announcements.map(({ message }) => message).join(`\n`),
+        /Unknown command/);
+  });
+
+  it(`does not inform the player if an onCommand handler handled it`, () => {
+    handlers.set(`onCommand`, { function: () => room.markCommandHandled() });
+
+    assert.equal(room.onPlayerChat(players[0], `!unknown`, {}), true);
+    assert.doesNotMatch(announcements.map(({ message }) => message)
+        .join(`\n`), /Unknown command/);
+  });
+});
+
+describe(`parseMessage`, () => {
+  let room;
+
+  beforeEach(() => {
+    ({ room } = loadCommands([]));
+  });
+
+  const parseArguments = (message) =>
+      JSON.parse(JSON.stringify(room.parseMessage(message).arguments));
+
+  it(`groups quoted arguments`, () => {
+    assert.deepEqual(parseArguments(`!msg "a b" 'c d' e`),
+        [`a b`, `c d`, `e`]);
+  });
+
+  it(`keeps quotes without a closing quote`, () => {
+    assert.deepEqual(parseArguments(`!msg don't go`), [`don't`, `go`]);
+    assert.deepEqual(parseArguments(`!msg "a b`), [`"a`, `b`]);
+  });
+});